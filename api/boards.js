@@ -0,0 +1,7 @@
+// Vercel Serverless Function for the school board autocomplete
+// Directory and search live in lib/school-boards.js
+
+import { toVercel } from '../lib/http-adapters';
+import { boardsHandler } from '../lib/school-boards';
+
+export default toVercel(boardsHandler, { methods: ['GET'] });
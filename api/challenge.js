@@ -0,0 +1,7 @@
+// Vercel Serverless Function for the signup proof-of-work challenge
+// Challenge logic lives in lib/proof-of-work.js
+
+import { toVercel } from '../lib/http-adapters';
+import { issueChallenge } from '../lib/proof-of-work';
+
+export default toVercel(issueChallenge, { methods: ['GET'] });
@@ -0,0 +1,7 @@
+// Vercel Serverless Function for double opt-in confirmation links
+// Confirmation logic lives in lib/confirmation.js
+
+import { toVercel } from '../lib/http-adapters';
+import { confirmSubscription } from '../lib/confirmation';
+
+export default toVercel(confirmSubscription, { methods: ['GET', 'POST'] });
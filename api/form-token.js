@@ -0,0 +1,7 @@
+// Vercel Serverless Function for the signup form's signed render timestamp
+// Bot checks live in lib/bot-detection.js
+
+import { toVercel } from '../lib/http-adapters';
+import { issueFormToken } from '../lib/bot-detection';
+
+export default toVercel(issueFormToken, { methods: ['GET'] });
@@ -0,0 +1,7 @@
+// Vercel Serverless Function for readiness checks
+// Checks live in lib/health.js; its config check reports invalid settings itself
+
+import { toVercel } from '../../lib/http-adapters';
+import { readinessHandler } from '../../lib/health';
+
+export default toVercel(readinessHandler, { methods: ['GET'], validateConfig: false });
@@ -0,0 +1,7 @@
+// Vercel Serverless Function for signed unsubscribe links
+// Unsubscribe logic lives in lib/unsubscribe.js
+
+import { toVercel } from '../lib/http-adapters';
+import { unsubscribeHandler } from '../lib/unsubscribe';
+
+export default toVercel(unsubscribeHandler, { methods: ['GET', 'POST'] });
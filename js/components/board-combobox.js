@@ -0,0 +1,364 @@
+/* ==================================================
+   School Board Combobox Component
+   Autocomplete for the signup form's school board field, backed by
+   /api/boards. Follows the WAI-ARIA combobox pattern (list autocomplete
+   with a listbox popup); without JavaScript the field is plain text.
+   ================================================== */
+
+class BoardCombobox {
+    constructor(options = {}) {
+        this.options = {
+            inputId: 'schoolBoard',
+            idInputId: 'schoolBoardId',
+            endpoint: '/api/boards',
+            debounceDelay: 200,
+            maxResults: 8,
+            ...options
+        };
+
+        this.typeLabels = { public: 'Public', catholic: 'Catholic' };
+        this.languageLabels = { en: 'English', fr: 'French' };
+
+        this.input = null;
+        this.idInput = null;
+        this.listbox = null;
+        this.statusElement = null;
+
+        this.results = [];
+        this.activeIndex = -1;
+        this.debounceTimer = null;
+        this.latestRequest = 0;
+        this.cache = new Map();
+
+        this.init();
+    }
+
+    /**
+     * Initialize once the DOM is ready
+     */
+    init() {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.setup());
+        } else {
+            this.setup();
+        }
+    }
+
+    /**
+     * Find the board fields, add the listbox and wire up events
+     */
+    setup() {
+        this.input = document.getElementById(this.options.inputId);
+        this.idInput = document.getElementById(this.options.idInputId);
+
+        if (!this.input || !this.idInput) {
+            console.warn('BoardCombobox: board fields not found');
+            return;
+        }
+
+        this.buildElements();
+        this.bindEvents();
+    }
+
+    /**
+     * Create the listbox and status region, and turn the input into a combobox
+     */
+    buildElements() {
+        const listboxId = `${this.input.id}-listbox`;
+
+        this.listbox = document.createElement('ul');
+        this.listbox.id = listboxId;
+        this.listbox.className = 'board-listbox';
+        this.listbox.setAttribute('role', 'listbox');
+        this.listbox.setAttribute('aria-label', 'School boards');
+        this.listbox.hidden = true;
+
+        // Result counts are announced here rather than on every keystroke
+        this.statusElement = document.createElement('div');
+        this.statusElement.className = 'visually-hidden';
+        this.statusElement.setAttribute('role', 'status');
+        this.statusElement.setAttribute('aria-live', 'polite');
+
+        this.input.insertAdjacentElement('afterend', this.listbox);
+        this.listbox.insertAdjacentElement('afterend', this.statusElement);
+        this.input.closest('.form-field')?.classList.add('board-combobox');
+
+        this.input.setAttribute('role', 'combobox');
+        this.input.setAttribute('aria-autocomplete', 'list');
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.setAttribute('aria-controls', listboxId);
+        // Browser autofill would cover the listbox
+        this.input.setAttribute('autocomplete', 'off');
+    }
+
+    /**
+     * Set up input, keyboard and pointer handlers
+     */
+    bindEvents() {
+        this.input.addEventListener('input', () => {
+            // Typed text no longer matches the board that was picked
+            this.idInput.value = '';
+            this.scheduleSearch();
+        });
+
+        this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+        this.input.addEventListener('blur', () => this.close());
+
+        // Keep focus in the input while an option is clicked
+        this.listbox.addEventListener('mousedown', (e) => e.preventDefault());
+        this.listbox.addEventListener('click', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option) {
+                this.selectBoard(this.results[Number(option.dataset.index)]);
+            }
+        });
+
+        // form.reset() leaves hidden inputs alone
+        this.input.form?.addEventListener('reset', () => {
+            this.idInput.value = '';
+            this.close();
+        });
+    }
+
+    /**
+     * Keyboard support: arrows move through options, Enter picks, Escape closes
+     * @param {KeyboardEvent} e - Keydown event on the input
+     */
+    handleKeydown(e) {
+        const isOpen = !this.listbox.hidden;
+
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                if (isOpen) {
+                    this.setActive(this.activeIndex + 1);
+                } else {
+                    this.search(this.input.value);
+                }
+                break;
+
+            case 'ArrowUp':
+                if (isOpen) {
+                    e.preventDefault();
+                    this.setActive(this.activeIndex - 1);
+                }
+                break;
+
+            case 'Enter':
+                // Without a highlighted option, Enter submits the form as usual
+                if (isOpen && this.activeIndex >= 0) {
+                    e.preventDefault();
+                    this.selectBoard(this.results[this.activeIndex]);
+                }
+                break;
+
+            case 'Tab':
+                if (isOpen && this.activeIndex >= 0) {
+                    this.selectBoard(this.results[this.activeIndex]);
+                }
+                break;
+
+            case 'Escape':
+                if (isOpen) {
+                    e.preventDefault();
+                    this.close();
+                } else if (this.input.value) {
+                    e.preventDefault();
+                    this.clear();
+                }
+                break;
+        }
+    }
+
+    /**
+     * Search after the user pauses typing
+     */
+    scheduleSearch() {
+        clearTimeout(this.debounceTimer);
+        this.debounceTimer = setTimeout(() => this.search(this.input.value), this.options.debounceDelay);
+    }
+
+    /**
+     * Fetch matching boards and show them
+     * @param {string} query - Text in the input
+     */
+    async search(query) {
+        const trimmed = query.trim();
+        if (!trimmed) {
+            this.close();
+            return;
+        }
+
+        const requestId = ++this.latestRequest;
+
+        try {
+            const boards = await this.fetchBoards(trimmed);
+
+            // A newer search finished first, or the user moved on
+            if (requestId !== this.latestRequest || document.activeElement !== this.input) return;
+
+            this.renderResults(boards);
+        } catch (error) {
+            // Free text still works; the server matches it against the directory
+            console.warn('BoardCombobox: search failed', error);
+            this.close();
+        }
+    }
+
+    /**
+     * Fetch boards matching a query, cached per query
+     * @param {string} query - Trimmed search text
+     * @returns {Promise<Object[]>} - Boards as { id, name, type, language }
+     */
+    async fetchBoards(query) {
+        const key = query.toLowerCase();
+        if (this.cache.has(key)) {
+            return this.cache.get(key);
+        }
+
+        const params = new URLSearchParams({ q: query, limit: String(this.options.maxResults) });
+        const response = await fetch(`${this.options.endpoint}?${params}`, {
+            headers: { 'Accept': 'application/json' }
+        });
+
+        if (!response.ok) {
+            throw new Error(`Board search error: ${response.status}`);
+        }
+
+        const { boards } = await response.json();
+        this.cache.set(key, boards);
+        return boards;
+    }
+
+    /**
+     * Render search results as listbox options
+     * @param {Object[]} boards - Boards to show
+     */
+    renderResults(boards) {
+        this.results = boards;
+        this.activeIndex = -1;
+        this.input.removeAttribute('aria-activedescendant');
+        this.listbox.innerHTML = '';
+
+        if (boards.length === 0) {
+            this.close();
+            this.announce('No matching boards. You can keep typing your board\'s full name.');
+            return;
+        }
+
+        boards.forEach((board, index) => {
+            const option = document.createElement('li');
+            option.id = `${this.input.id}-option-${index}`;
+            option.className = 'board-option';
+            option.dataset.index = String(index);
+            option.setAttribute('role', 'option');
+            option.setAttribute('aria-selected', 'false');
+
+            const name = document.createElement('span');
+            name.className = 'board-option-name';
+            name.textContent = board.name;
+
+            const details = document.createElement('span');
+            details.className = 'board-option-details';
+            details.textContent = this.describeBoard(board);
+
+            option.append(name, details);
+            this.listbox.appendChild(option);
+        });
+
+        this.open();
+        this.announce(`${boards.length} ${boards.length === 1 ? 'board' : 'boards'} found. Use the up and down arrow keys to choose.`);
+    }
+
+    /**
+     * Short description shown under a board's name
+     * @param {Object} board - Board from the directory
+     * @returns {string} - e.g. "Catholic · French"
+     */
+    describeBoard(board) {
+        return [this.typeLabels[board.type], this.languageLabels[board.language]]
+            .filter(Boolean)
+            .join(' · ');
+    }
+
+    /**
+     * Highlight an option, wrapping around at either end
+     * @param {number} index - Option index
+     */
+    setActive(index) {
+        if (this.results.length === 0) return;
+
+        const count = this.results.length;
+        this.activeIndex = (index + count) % count;
+
+        this.listbox.querySelectorAll('[role="option"]').forEach((option, i) => {
+            const isActive = i === this.activeIndex;
+            option.classList.toggle('active', isActive);
+            option.setAttribute('aria-selected', String(isActive));
+            if (isActive) {
+                this.input.setAttribute('aria-activedescendant', option.id);
+                option.scrollIntoView({ block: 'nearest' });
+            }
+        });
+    }
+
+    /**
+     * Fill the field with a board and remember its canonical ID
+     * @param {Object} board - Chosen board
+     */
+    selectBoard(board) {
+        if (!board) return;
+
+        this.input.value = board.name;
+        this.idInput.value = board.id;
+        this.close();
+
+        // Lets the form handler clear a "required" error on this field
+        this.input.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    /**
+     * Clear the typed board and its ID
+     */
+    clear() {
+        this.input.value = '';
+        this.idInput.value = '';
+        this.input.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    /**
+     * Show the listbox
+     */
+    open() {
+        this.listbox.hidden = false;
+        this.input.setAttribute('aria-expanded', 'true');
+    }
+
+    /**
+     * Hide the listbox
+     */
+    close() {
+        clearTimeout(this.debounceTimer);
+        this.latestRequest++;
+        this.activeIndex = -1;
+        this.listbox.hidden = true;
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+    }
+
+    /**
+     * Announce a message to screen readers
+     * @param {string} message - Message to announce
+     */
+    announce(message) {
+        this.statusElement.textContent = message;
+    }
+}
+
+// Make available globally
+window.BoardCombobox = BoardCombobox;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BoardCombobox;
+}
@@ -4,11 +4,13 @@
 
 class FormHandler {
     constructor() {
-        this.validator = new FormValidator();
+        this.validator = new FormValidator({ warnPersonalEmail: true });
         this.form = null;
         this.emailInput = null;
+        this.fieldElements = {};
         this.submitButton = null;
         this.errorElement = null;
+        this.hintElement = null;
         this.successElement = null;
         
         // API configuration (optimized for serverless)
@@ -19,6 +21,21 @@ class FormHandler {
             retryDelay: 1000
         };
         
+        // Signed render timestamp used by the server's bot checks
+        this.formTokenConfig = {
+            endpoint: '/api/form-token',
+            refreshInterval: 60 * 60 * 1000  // refresh before the server's 2h expiry
+        };
+        this.formToken = null;
+        this.minSubmitDelay = 0;
+
+        // Proof-of-work challenge, only required by the server under suspicious volume
+        this.challengeConfig = {
+            endpoint: '/api/challenge',
+            workerPath: 'js/workers/proof-of-work-worker.js',
+            maxSolveTime: 30000
+        };
+        
         this.isSubmitting = false;
         this.submitAttempts = 0;
         
@@ -45,6 +62,7 @@ class FormHandler {
         this.emailInput = document.getElementById('email');
         this.submitButton = this.form?.querySelector('.cta-button');
         this.errorElement = document.getElementById('email-error');
+        this.hintElement = document.getElementById('email-hint');
         this.successElement = document.getElementById('form-success');
 
         if (!this.form || !this.emailInput || !this.submitButton) {
@@ -52,8 +70,79 @@ class FormHandler {
             return;
         }
 
+        // One element per schema field; multiselects use their fieldset
+        this.validator.fields.forEach(field => {
+            const element = document.getElementById(field.name);
+            if (element) {
+                this.fieldElements[field.name] = element;
+            } else {
+                console.error(`Form element for field "${field.name}" not found`);
+            }
+        });
+
         this.setupEventListeners();
         this.setupAccessibility();
+        this.fetchFormToken();
+        setInterval(() => this.fetchFormToken(), this.formTokenConfig.refreshInterval);
+    }
+
+    /**
+     * Fetch a signed form token recording when the form was rendered
+     * @returns {Promise<string|null>} - Token, or null if it could not be fetched
+     */
+    async fetchFormToken() {
+        try {
+            const response = await fetch(this.formTokenConfig.endpoint, {
+                headers: { 'Accept': 'application/json' }
+            });
+
+            if (!response.ok) {
+                throw new Error(`Form token error: ${response.status}`);
+            }
+
+            const result = await response.json();
+            this.formToken = result.token;
+            this.minSubmitDelay = result.minSubmitMs || 0;
+            if (Array.isArray(result.requiredFields)) {
+                this.applyRequiredFields(result.requiredFields);
+            }
+        } catch (error) {
+            console.warn('Could not fetch form token:', error);
+        }
+
+        return this.formToken;
+    }
+
+    /**
+     * Require the same fields as the server (SIGNUP_REQUIRED_FIELDS)
+     * @param {string[]} names - Required field names
+     */
+    applyRequiredFields(names) {
+        this.validator.setRequiredFields(names);
+
+        this.validator.fields.forEach(field => {
+            const element = this.fieldElements[field.name];
+            if (!element) return;
+
+            // Fieldsets have no required attribute, so they only announce it
+            if (element.tagName === 'FIELDSET') {
+                element.setAttribute('aria-required', String(field.required));
+            } else {
+                element.required = field.required;
+            }
+        });
+    }
+
+    /**
+     * Get the form token, fetching one now if the page-load fetch failed
+     * @returns {Promise<string|null>} - Form token
+     */
+    async getFormToken() {
+        if (!this.formToken && await this.fetchFormToken()) {
+            // A token issued this instant would look like an instant bot submission
+            await this.delay(this.minSubmitDelay);
+        }
+        return this.formToken;
     }
 
     /**
@@ -70,6 +159,15 @@ class FormHandler {
             300
         );
 
+        // Clear a field's error as soon as it becomes valid
+        this.validator.fields
+            .filter(field => field.type !== 'email')
+            .forEach(field => {
+                const element = this.fieldElements[field.name];
+                element?.addEventListener('change', () => this.revalidateField(field));
+                element?.addEventListener('input', () => this.revalidateField(field));
+            });
+
         // Enter key handling
         this.emailInput.addEventListener('keydown', (e) => {
             if (e.key === 'Enter' && !e.shiftKey) {
@@ -147,7 +245,7 @@ class FormHandler {
             }
         } catch (error) {
             console.error('Form submission error:', error);
-            this.handleError(this.getErrorMessage(error));
+            this.handleError(error);
         } finally {
             this.isSubmitting = false;
             this.setLoadingState(false);
@@ -161,19 +259,113 @@ class FormHandler {
      */
     async submitToZoho(data) {
         const payload = {
-            email: data.email,
-            source: 'myblueprint-career-launch-landing'
+            ...data,
+            source: 'myblueprint-career-launch-landing',
+            consentVersion: document.getElementById('consent-notice')?.dataset.consentVersion || null,
+            pageUrl: window.location.href,
+            formToken: await this.getFormToken(),
+            website: this.form.elements.website?.value || ''
         };
 
-        return this.makeApiCall(payload);
+        Object.assign(payload, await this.solveChallengeIfRequired());
+
+        try {
+            return await this.makeApiCall(payload);
+        } catch (error) {
+            // The server can start requiring a challenge between our check and the submit
+            if (error.code !== 'CHALLENGE_REQUIRED') throw error;
+
+            Object.assign(payload, await this.solveChallengeIfRequired());
+            return this.makeApiCall(payload);
+        }
+    }
+
+    /**
+     * Ask the server whether a proof-of-work challenge is needed and solve it
+     * @returns {Promise<Object>} - { powChallenge, powNonce } or an empty object
+     */
+    async solveChallengeIfRequired() {
+        let challenge;
+        try {
+            const response = await fetch(this.challengeConfig.endpoint, {
+                headers: { 'Accept': 'application/json' }
+            });
+            challenge = await response.json();
+        } catch (error) {
+            console.warn('Could not fetch challenge:', error);
+            return {};
+        }
+
+        if (!challenge.required) return {};
+
+        // No interaction needed: the button stays busy and screen readers hear why
+        this.announceToScreenReader('Running a quick security check. This may take a few seconds.');
+
+        const nonce = await this.solveChallenge(challenge.challenge, challenge.difficulty);
+        return nonce === null ? {} : { powChallenge: challenge.challenge, powNonce: nonce };
+    }
+
+    /**
+     * Solve a challenge in a Web Worker, falling back to the main thread
+     * @param {string} challenge - Signed challenge
+     * @param {number} difficulty - Required leading zero bits
+     * @returns {Promise<number|null>} - Nonce, or null if it could not be solved in time
+     */
+    solveChallenge(challenge, difficulty) {
+        const deadline = Date.now() + this.challengeConfig.maxSolveTime;
+
+        const solveOnMainThread = () => window.solveProofOfWork(challenge, difficulty, {
+            deadline,
+            yieldFn: () => this.delay(0)
+        }).catch(() => null);
+
+        if (typeof Worker === 'undefined') {
+            return solveOnMainThread();
+        }
+
+        return new Promise((resolve) => {
+            let worker;
+            try {
+                worker = new Worker(this.challengeConfig.workerPath);
+            } catch (error) {
+                resolve(solveOnMainThread());
+                return;
+            }
+
+            worker.addEventListener('message', (event) => {
+                worker.terminate();
+                resolve(event.data.error ? solveOnMainThread() : event.data.nonce);
+            });
+            worker.addEventListener('error', () => {
+                worker.terminate();
+                resolve(solveOnMainThread());
+            });
+            worker.postMessage({ challenge, difficulty, deadline });
+        });
+    }
+
+    /**
+     * Generate a request ID the server logs under, so support can find a failed submission
+     * @returns {string} - Random UUID
+     */
+    generateRequestId() {
+        if (window.crypto?.randomUUID) {
+            return window.crypto.randomUUID();
+        }
+
+        // randomUUID needs a secure context; fall back to 16 random bytes as hex
+        const bytes = window.crypto.getRandomValues(new Uint8Array(16));
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
     }
 
     /**
      * Make API call to our server endpoint
      * @param {Object} payload - Data to submit
+     * @param {number} retryCount - Network retries so far
+     * @param {string} requestId - X-Request-Id, kept across retries of one submission
      * @returns {Promise<Object>} - API response
      */
-    async makeApiCall(payload, retryCount = 0) {
+    async makeApiCall(payload, retryCount = 0, requestId = this.generateRequestId()) {
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), this.apiConfig.timeout);
 
@@ -182,7 +374,8 @@ class FormHandler {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
-                    'Accept': 'application/json'
+                    'Accept': 'application/json',
+                    'X-Request-Id': requestId
                 },
                 body: JSON.stringify(payload),
                 signal: controller.signal
@@ -190,10 +383,19 @@ class FormHandler {
 
             clearTimeout(timeoutId);
 
+            // The server keeps our ID unless it was unusable, so prefer the one it echoes
+            requestId = response.headers.get('X-Request-Id') || requestId;
+
             const result = await response.json();
 
             if (!response.ok) {
-                throw new Error(result.message || `API Error: ${response.status} ${response.statusText}`);
+                const apiError = new Error(result.message || `API Error: ${response.status} ${response.statusText}`);
+                apiError.status = response.status;
+                apiError.requestId = result.requestId || requestId;
+                apiError.code = result.code || null;
+                apiError.fieldErrors = result.errors || null;
+                apiError.retryAfter = Number(response.headers.get('Retry-After')) || result.retryAfter || null;
+                throw apiError;
             }
 
             return { success: true, data: result };
@@ -206,9 +408,10 @@ class FormHandler {
                 !controller.signal.aborted && 
                 (error.name === 'TypeError' || error.message.includes('fetch'))) {
                 await this.delay(this.apiConfig.retryDelay * (retryCount + 1));
-                return this.makeApiCall(payload, retryCount + 1);
+                return this.makeApiCall(payload, retryCount + 1, requestId);
             }
 
+            error.requestId = error.requestId || requestId;
             throw error;
         }
     }
@@ -219,9 +422,14 @@ class FormHandler {
      * @param {Object} result - Success result from API
      */
     handleSuccess(result) {
-        const message = result.data?.message || 'Thank you! We\'ll notify you as soon as the agenda is available.';
+        const confirmationRequired = result.data?.confirmationRequired === true;
+        const message = result.data?.message || (confirmationRequired
+            ? 'Almost done! Check your inbox for an email from myBlueprint and click the link to confirm your subscription.'
+            : 'Thank you! We\'ll notify you as soon as the agenda is available.');
         this.showSuccess(message);
-        this.announceToScreenReader('Email submitted successfully. You will receive notifications about the career launch agenda.');
+        this.announceToScreenReader(confirmationRequired
+            ? 'Email submitted. Check your inbox and open the confirmation link to finish signing up.'
+            : 'Email submitted successfully. You will receive notifications about the career launch agenda.');
         
         // Reset form after delay
         setTimeout(() => {
@@ -237,10 +445,20 @@ class FormHandler {
 
     /**
      * Handle form submission errors
-     * @param {string} error - Error message
+     * @param {string|Error} error - Error object or message
      */
     handleError(error) {
-        const message = this.getErrorMessage(error);
+        // Server-side validation uses the same FormValidator, so its codes map to our messages
+        if (error?.fieldErrors) {
+            this.showValidationErrors(this.validator.messagesForCodes(error.fieldErrors));
+            this.announceToScreenReader('Form submission failed: please check the highlighted fields.');
+            return;
+        }
+
+        const reference = this.getReferenceCode(error?.requestId);
+        const message = reference
+            ? `${this.getErrorMessage(error)} Reference: ${reference}`
+            : this.getErrorMessage(error);
         this.showError(message);
         this.announceToScreenReader(`Form submission failed: ${message}`);
         
@@ -258,19 +476,72 @@ class FormHandler {
         } else if (result.error && this.emailInput.value.length > 0) {
             this.validator.showError(this.emailInput, result.error);
         }
+
+        this.showEmailHint(result.isValid ? result.warning : null);
+    }
+
+    /**
+     * Show or clear the soft warning under the email field (e.g. a Gmail address)
+     * @param {string|null} message - Warning to show, or null to clear it
+     */
+    showEmailHint(message) {
+        if (!this.hintElement) return;
+
+        this.hintElement.textContent = message || '';
+        this.hintElement.classList.toggle('visible', Boolean(message));
+    }
+
+    /**
+     * Re-check one field and clear its error once it is valid
+     * @param {Object} field - Field definition from the validator schema
+     */
+    revalidateField(field) {
+        const element = this.fieldElements[field.name];
+        if (!element?.classList.contains('error')) return;
+
+        const formData = new FormData(this.form);
+        const value = field.type === 'multiselect' ? formData.getAll(field.name) : formData.get(field.name);
+
+        if (this.validator.validateField(field, value).isValid) {
+            this.validator.clearError(element);
+        }
     }
 
     /**
-     * Show validation errors
-     * @param {Object} errors - Validation errors
+     * Show validation errors for every field, focusing the first invalid one
+     * @param {Object} errors - Field name to error message
      */
     showValidationErrors(errors) {
-        if (errors.email) {
-            this.validator.showError(this.emailInput, errors.email);
-            this.emailInput.focus();
+        let firstInvalid = null;
+
+        this.validator.fields.forEach(field => {
+            const element = this.fieldElements[field.name];
+            if (!element) return;
+
+            if (errors[field.name]) {
+                this.validator.showError(element, errors[field.name]);
+                firstInvalid = firstInvalid || element;
+            } else {
+                this.validator.clearError(element);
+            }
+        });
+
+        if (firstInvalid) {
+            // Fieldsets can't take focus; move to their first control
+            const focusTarget = firstInvalid.tagName === 'FIELDSET'
+                ? firstInvalid.querySelector('input, select')
+                : firstInvalid;
+            focusTarget?.focus();
         }
     }
 
+    /**
+     * Clear validation errors on every field
+     */
+    clearAllErrors() {
+        Object.values(this.fieldElements).forEach(element => this.validator.clearError(element));
+    }
+
     /**
      * Show success message
      * @param {string} message - Success message
@@ -282,7 +553,7 @@ class FormHandler {
         }
         
         // Hide any error messages
-        this.validator.clearError(this.emailInput);
+        this.clearAllErrors();
     }
 
     /**
@@ -311,13 +582,17 @@ class FormHandler {
             this.submitButton.classList.add('loading');
             this.submitButton.disabled = true;
             this.submitButton.setAttribute('aria-busy', 'true');
-            this.emailInput.disabled = true;
         } else {
             this.submitButton.classList.remove('loading');
             this.submitButton.disabled = false;
             this.submitButton.setAttribute('aria-busy', 'false');
-            this.emailInput.disabled = false;
         }
+
+        Array.from(this.form.elements)
+            .filter(element => element !== this.submitButton)
+            .forEach(element => {
+                element.disabled = loading;
+            });
     }
 
     /**
@@ -325,7 +600,8 @@ class FormHandler {
      */
     resetForm() {
         this.form.reset();
-        this.validator.clearError(this.emailInput);
+        this.clearAllErrors();
+        this.showEmailHint(null);
         this.hideSuccess();
         this.submitButton.classList.remove('success');
         this.isSubmitting = false;
@@ -339,6 +615,15 @@ class FormHandler {
      */
     getErrorMessage(error) {
         const errorMessage = error?.message || error;
+        const status = error?.status;
+
+        if (status === 429) {
+            return this.getRateLimitMessage(error.retryAfter);
+        }
+
+        if (error?.code === 'CHALLENGE_REQUIRED') {
+            return 'We couldn\'t complete a quick security check. Please try again.';
+        }
         
         if (errorMessage.includes('Failed to fetch') || errorMessage.includes('NetworkError')) {
             return 'Please check your internet connection and try again.';
@@ -348,21 +633,48 @@ class FormHandler {
             return 'Request timed out. Please try again.';
         }
         
-        if (errorMessage.includes('400')) {
+        if (status === 400 || errorMessage.includes('400')) {
             return 'Invalid email address. Please check and try again.';
         }
         
         if (errorMessage.includes('429')) {
-            return 'Too many requests. Please wait a moment and try again.';
+            return this.getRateLimitMessage();
         }
         
-        if (errorMessage.includes('500') || errorMessage.includes('502') || errorMessage.includes('503')) {
+        if (status >= 500 || errorMessage.includes('500') || errorMessage.includes('502') || errorMessage.includes('503')) {
             return 'Service temporarily unavailable. Please try again in a few minutes.';
         }
         
         return 'Something went wrong. Please try again.';
     }
 
+    /**
+     * Short code for support to look up a request by; it's the start of the request ID
+     * @param {string} requestId - Request ID
+     * @returns {string|null} - e.g. "3F2A9C1B", or null without an ID
+     */
+    getReferenceCode(requestId) {
+        return requestId ? requestId.replace(/-/g, '').slice(0, 8).toUpperCase() : null;
+    }
+
+    /**
+     * Build the rate limit message, using Retry-After when the server sent one
+     * @param {number} retryAfter - Seconds until the next attempt is allowed
+     * @returns {string} - User-friendly message
+     */
+    getRateLimitMessage(retryAfter) {
+        if (!retryAfter) {
+            return 'Too many requests. Please wait a moment and try again.';
+        }
+
+        const minutes = Math.ceil(retryAfter / 60);
+        const wait = retryAfter < 60
+            ? `${retryAfter} seconds`
+            : `${minutes} minute${minutes === 1 ? '' : 's'}`;
+
+        return `Too many requests. Please wait ${wait} and try again.`;
+    }
+
     /**
      * Announce message to screen readers
      * @param {string} message - Message to announce
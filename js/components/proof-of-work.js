@@ -0,0 +1,51 @@
+/* ==================================================
+   Proof-of-Work Solver
+   Shared by the Web Worker and the main-thread fallback
+   ================================================== */
+
+/**
+ * Count leading zero bits in a hash
+ * @param {Uint8Array} bytes - Hash bytes
+ * @returns {number} - Number of leading zero bits
+ */
+function countLeadingZeroBits(bytes) {
+    let bits = 0;
+    for (const byte of bytes) {
+        if (byte === 0) {
+            bits += 8;
+            continue;
+        }
+        bits += Math.clz32(byte) - 24;
+        break;
+    }
+    return bits;
+}
+
+/**
+ * Find a nonce so that SHA-256("<challenge>:<nonce>") starts with `difficulty` zero bits
+ * @param {string} challenge - Signed challenge from /api/challenge
+ * @param {number} difficulty - Required leading zero bits
+ * @param {Object} options - { chunkSize, yieldFn, deadline }
+ * @returns {Promise<number|null>} - Nonce, or null if the deadline passed
+ */
+async function solveProofOfWork(challenge, difficulty, options = {}) {
+    const { chunkSize = 1000, yieldFn = null, deadline = Infinity } = options;
+    const encoder = new TextEncoder();
+
+    for (let nonce = 0; ; nonce++) {
+        const digest = await crypto.subtle.digest('SHA-256', encoder.encode(`${challenge}:${nonce}`));
+
+        if (countLeadingZeroBits(new Uint8Array(digest)) >= difficulty) {
+            return nonce;
+        }
+
+        if (nonce % chunkSize === 0) {
+            if (Date.now() > deadline) return null;
+            // Let the main thread breathe when running without a worker
+            if (yieldFn) await yieldFn();
+        }
+    }
+}
+
+// Global for the page and for importScripts() in the worker
+self.solveProofOfWork = solveProofOfWork;
@@ -80,6 +80,11 @@ class MyBlueprintCareerLaunch {
             if (window.FormHandler) {
                 this.components.formHandler = window.formHandler || new FormHandler();
             }
+
+            // School board autocomplete is part of the signup form
+            if (window.BoardCombobox) {
+                this.components.boardCombobox = window.boardCombobox || new BoardCombobox();
+            }
             
             // Basic accessibility is critical
             this.setupKeyboardNavigation();
@@ -1,17 +1,37 @@
 /* ==================================================
    Form Validation Module
+   Isomorphic: loaded as a script in the browser and
+   require()d by lib/capture-service.js on the server,
+   so both reject exactly the same input.
    ================================================== */
 
 class FormValidator {
-    constructor() {
+    /**
+     * @param {Object} options - { fields: field schema, defaults to FormValidator.DEFAULT_FIELDS;
+     *                             requiredFields: names of the fields to require instead of the schema's;
+     *                             warnPersonalEmail: add a soft warning for personal addresses }
+     */
+    constructor(options = {}) {
+        this.fields = options.fields || FormValidator.DEFAULT_FIELDS;
+        if (options.requiredFields) {
+            this.setRequiredFields(options.requiredFields);
+        }
+        this.warnPersonalEmail = Boolean(options.warnPersonalEmail);
         this.emailRegex = /^[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/;
         this.errors = {
             REQUIRED: 'This field is required',
             INVALID_EMAIL: 'Please enter a valid email address',
             TOO_LONG: 'Email address is too long (maximum 254 characters)',
             DISPOSABLE_EMAIL: 'Please use a permanent email address',
+            FIELD_TOO_LONG: 'This entry is too long',
+            INVALID_OPTION: 'Please choose an option from the list',
             GENERIC_ERROR: 'Please check your email address and try again'
         };
+
+        // Warnings never block submission
+        this.warnings = {
+            PERSONAL_EMAIL: 'Tip: use your school board email so we can share updates for your board'
+        };
         
         // Common disposable email domains to block
         this.disposableDomains = [
@@ -22,6 +42,44 @@ class FormValidator {
             'temp-mail.org',
             'throwaway.email'
         ];
+
+        // Common personal email providers; educators are asked for their board address
+        this.personalDomains = [
+            'gmail.com',
+            'googlemail.com',
+            'hotmail.com',
+            'hotmail.ca',
+            'outlook.com',
+            'live.com',
+            'live.ca',
+            'msn.com',
+            'yahoo.com',
+            'yahoo.ca',
+            'icloud.com',
+            'me.com',
+            'mac.com',
+            'aol.com',
+            'proton.me',
+            'protonmail.com',
+            'rogers.com',
+            'bell.net',
+            'sympatico.ca',
+            'shaw.ca',
+            'telus.net',
+            'cogeco.ca'
+        ];
+    }
+
+    /**
+     * Require exactly the named fields (SIGNUP_REQUIRED_FIELDS on the server);
+     * the email is always required
+     * @param {string[]} names - Field names
+     */
+    setRequiredFields(names) {
+        this.fields = this.fields.map(field => ({
+            ...field,
+            required: field.type === 'email' || names.includes(field.name)
+        }));
     }
 
     /**
@@ -33,44 +91,83 @@ class FormValidator {
         const result = {
             isValid: false,
             error: null,
-            value: email ? email.trim().toLowerCase() : ''
+            code: null,
+            warning: null,
+            warningCode: null,
+            value: typeof email === 'string' ? email.trim().toLowerCase() : ''
         };
 
         // Check if email is provided
         if (!result.value) {
-            result.error = this.errors.REQUIRED;
-            return result;
+            return this.fail(result, 'REQUIRED');
         }
 
         // Check length (RFC 5321 limit)
         if (result.value.length > 254) {
-            result.error = this.errors.TOO_LONG;
-            return result;
+            return this.fail(result, 'TOO_LONG');
         }
 
         // Check email format
         if (!this.emailRegex.test(result.value)) {
-            result.error = this.errors.INVALID_EMAIL;
-            return result;
+            return this.fail(result, 'INVALID_EMAIL');
         }
 
         // Check for disposable email domains
         const domain = result.value.split('@')[1];
         if (this.disposableDomains.includes(domain)) {
-            result.error = this.errors.DISPOSABLE_EMAIL;
-            return result;
+            return this.fail(result, 'DISPOSABLE_EMAIL');
         }
 
         // Check for obviously fake emails
         if (this.isSuspiciousEmail(result.value)) {
-            result.error = this.errors.INVALID_EMAIL;
-            return result;
+            return this.fail(result, 'INVALID_EMAIL');
         }
 
         result.isValid = true;
+
+        if (this.warnPersonalEmail && this.isPersonalEmail(result.value)) {
+            result.warningCode = 'PERSONAL_EMAIL';
+            result.warning = this.warnings.PERSONAL_EMAIL;
+        }
+
+        return result;
+    }
+
+    /**
+     * Checks whether an email is from a personal provider such as Gmail
+     * @param {string} email - Email address
+     * @returns {boolean} - True for personal (non-work) addresses
+     */
+    isPersonalEmail(email) {
+        const domain = String(email || '').trim().toLowerCase().split('@').pop();
+        return this.personalDomains.includes(domain);
+    }
+
+    /**
+     * Marks a validation result as failed with an error code
+     * @param {Object} result - Validation result to update
+     * @param {string} code - Key of this.errors
+     * @returns {Object} - The updated result
+     */
+    fail(result, code) {
+        result.code = code;
+        result.error = this.errors[code];
         return result;
     }
 
+    /**
+     * Maps error codes (e.g. from a server response) to messages
+     * @param {Object} codes - Field name to error code
+     * @returns {Object} - Field name to user-facing message
+     */
+    messagesForCodes(codes) {
+        const messages = {};
+        Object.keys(codes || {}).forEach(field => {
+            messages[field] = this.errors[codes[field]] || this.errors.GENERIC_ERROR;
+        });
+        return messages;
+    }
+
     /**
      * Checks for suspicious email patterns
      * @param {string} email - Email to check
@@ -117,25 +214,76 @@ class FormValidator {
     }
 
     /**
-     * Validates form data before submission
-     * @param {FormData} formData - Form data to validate
-     * @returns {Object} - Validation result
+     * Validates a single schema field
+     * @param {Object} field - Field definition from this.fields
+     * @param {string|string[]} rawValue - Submitted value (array for multiselect)
+     * @returns {Object} - Validation result with isValid, error, code and value
+     */
+    validateField(field, rawValue) {
+        if (field.type === 'email') {
+            return this.validateEmail(rawValue);
+        }
+
+        const result = { isValid: false, error: null, code: null, value: null };
+
+        if (field.type === 'multiselect') {
+            const values = [].concat(rawValue || []).map(value => String(value).trim()).filter(Boolean);
+            result.value = values;
+
+            if (values.length === 0) {
+                if (field.required) return this.fail(result, 'REQUIRED');
+            } else if (values.some(value => !field.options.includes(value))) {
+                return this.fail(result, 'INVALID_OPTION');
+            }
+        } else {
+            const value = this.sanitizeInput(rawValue);
+            result.value = value;
+
+            if (!value) {
+                if (field.required) return this.fail(result, 'REQUIRED');
+            } else if (field.type === 'select' && !field.options.includes(value)) {
+                return this.fail(result, 'INVALID_OPTION');
+            } else if (field.maxLength && value.length > field.maxLength) {
+                return this.fail(result, 'FIELD_TOO_LONG');
+            }
+        }
+
+        result.isValid = true;
+        return result;
+    }
+
+    /**
+     * Validates form data before submission against the field schema
+     * @param {FormData|Object} formData - FormData in the browser, parsed JSON body on the server
+     * @returns {Object} - Validation result with errors (messages) and codes per field
      */
     validateFormData(formData) {
         const result = {
             isValid: true,
             errors: {},
+            codes: {},
             data: {}
         };
 
-        // Validate email
-        const emailResult = this.validateEmail(formData.get('email'));
-        if (!emailResult.isValid) {
-            result.isValid = false;
-            result.errors.email = emailResult.error;
-        } else {
-            result.data.email = emailResult.value;
-        }
+        const isFormData = typeof formData.get === 'function';
+
+        this.fields.forEach(field => {
+            let rawValue;
+            if (isFormData) {
+                rawValue = field.type === 'multiselect' ? formData.getAll(field.name) : formData.get(field.name);
+            } else {
+                rawValue = formData[field.name];
+            }
+
+            const fieldResult = this.validateField(field, rawValue);
+            if (!fieldResult.isValid) {
+                result.isValid = false;
+                result.errors[field.name] = fieldResult.error;
+                result.codes[field.name] = fieldResult.code;
+            } else if (fieldResult.value && fieldResult.value.length > 0) {
+                result.data[field.name] = fieldResult.value;
+            }
+        });
 
         return result;
     }
@@ -226,10 +374,39 @@ class FormValidator {
     }
 }
 
+// Signup fields, shared by the browser form and the server. Each field needs
+// a matching control in index.html (id = name) and an "<id>-error" element.
+// The required flags are defaults: SIGNUP_REQUIRED_FIELDS overrides them on the
+// server, and the browser picks that list up from /api/form-token.
+FormValidator.DEFAULT_FIELDS = [
+    { name: 'email', label: 'Email address', type: 'email', required: true },
+    { name: 'name', label: 'Full name', type: 'text', required: true, maxLength: 100 },
+    { name: 'schoolBoard', label: 'School board', type: 'text', required: true, maxLength: 150 },
+    // Set by the board autocomplete; the server checks it against lib/data/ontario-school-boards.json
+    { name: 'schoolBoardId', label: 'School board ID', type: 'text', required: false, maxLength: 64 },
+    { name: 'school', label: 'School', type: 'text', required: false, maxLength: 150 },
+    {
+        name: 'role',
+        label: 'Role',
+        type: 'select',
+        required: true,
+        options: ['Teacher', 'Guidance Counsellor', 'School Administrator', 'Board Staff', 'Other']
+    },
+    {
+        name: 'gradesTaught',
+        label: 'Grades taught',
+        type: 'multiselect',
+        required: false,
+        options: ['7', '8', '9', '10', '11', '12']
+    }
+];
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = FormValidator;
 }
 
 // Global instance for immediate use
-window.FormValidator = FormValidator;
\ No newline at end of file
+if (typeof window !== 'undefined') {
+    window.FormValidator = FormValidator;
+}
\ No newline at end of file
@@ -0,0 +1,17 @@
+/* ==================================================
+   Proof-of-Work Web Worker
+   Solves signup challenges off the main thread
+   ================================================== */
+
+importScripts('../components/proof-of-work.js');
+
+self.addEventListener('message', async (event) => {
+    const { challenge, difficulty, deadline } = event.data;
+
+    try {
+        const nonce = await self.solveProofOfWork(challenge, difficulty, { deadline });
+        self.postMessage({ nonce });
+    } catch (error) {
+        self.postMessage({ error: error.message });
+    }
+});
@@ -0,0 +1,39 @@
+// Bearer-key check for operational API routes
+// Requests must send "Authorization: Bearer <ADMIN_API_KEY>".
+
+const crypto = require('crypto');
+const { config } = require('./config');
+
+function isAdminRequest(request) {
+  const apiKey = config.ADMIN_API_KEY;
+  const header = request.headers.authorization || '';
+
+  if (!apiKey || !header.startsWith('Bearer ')) return false;
+
+  const expected = crypto.createHash('sha256').update(apiKey).digest();
+  const actual = crypto.createHash('sha256').update(header.slice('Bearer '.length)).digest();
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Wrap a service handler so it only runs for admin requests
+ * @param {Function} handler - Service handler
+ * @returns {Function} - Guarded handler
+ */
+function requireAdminKey(handler) {
+  return async (request) => {
+    if (!isAdminRequest(request)) {
+      return {
+        status: 401,
+        headers: { 'WWW-Authenticate': 'Bearer' },
+        body: { message: 'Unauthorized' }
+      };
+    }
+    return handler(request);
+  };
+}
+
+module.exports = {
+  isAdminRequest,
+  requireAdminKey
+};
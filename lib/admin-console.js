@@ -0,0 +1,480 @@
+// /admin console (Express only)
+// Lists stored leads with search, filters and pagination, and lets a
+// signed-in admin re-sync a lead to the providers or delete it. Also shows the
+// signup webhook delivery log. Sign-in and CSRF checks live in lib/admin-session.js.
+
+const { captureStore, STATUS } = require('./capture-store');
+const { syncToProviders, markCapture } = require('./subscription-sync');
+const { isDoubleOptInEnabled, sendConfirmationEmail } = require('./confirmation');
+const { recordConsentEvent, EVENTS } = require('./consent-log');
+const { getBoard } = require('./school-boards');
+const { MemoryStore, SlidingWindowLimiter } = require('./rate-limiter');
+const { escapeHtml } = require('./pages');
+const { logger } = require('./logger');
+const { deliveryLog, DELIVERY_STATUS, isWebhookEnabled } = require('./signup-webhooks');
+const {
+  checkCredentials,
+  isAdminLoginConfigured,
+  createSessionCookie,
+  clearSessionCookie,
+  getSession,
+  csrfToken
+} = require('./admin-session');
+
+const PAGE_SIZE = 25;
+
+// Statuses a lead can be pushed to the providers from. Unconfirmed leads haven't
+// given double opt-in consent and unsubscribed leads have withdrawn it.
+// Quarantined leads never got a confirmation link, so under double opt-in a
+// re-sync sends them one instead (resyncLead).
+const RESYNCABLE = [STATUS.PENDING, STATUS.FAILED, STATUS.DEAD, STATUS.QUARANTINED];
+
+// Slows down password guessing; per process, which is fine for one admin server
+const loginLimiter = new SlidingWindowLimiter({
+  store: new MemoryStore(),
+  limit: 5,
+  windowMs: 15 * 60 * 1000
+});
+
+const NOTICES = {
+  resynced: 'Lead sent to the email providers.',
+  'resync-failed': 'A provider rejected the lead; it has been queued for retry.',
+  'confirmation-sent': 'Lead released and sent a confirmation email; it reaches the providers once confirmed.',
+  'confirmation-failed': 'Lead released, but the confirmation email could not be sent.',
+  'no-consent': 'That lead has no consent record, so it can\'t be sent to the providers.',
+  'not-resyncable': 'That lead can\'t be sent to the providers in its current status.',
+  deleted: 'Lead deleted.',
+  'not-found': 'That lead no longer exists.'
+};
+
+function adminPage(status, { title, body }) {
+  return {
+    status,
+    headers: {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Cache-Control': 'no-store',
+      'X-Frame-Options': 'DENY'
+    },
+    body: `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>${escapeHtml(title)} | Career Launch admin</title>
+    <style>
+        body { margin: 0; font-family: 'Open Sans', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; background: #F6F6FF; color: #22224C; font-size: 14px; }
+        main { max-width: 1200px; margin: 32px auto; padding: 24px 32px; background: #FFFFFF; border-radius: 12px; box-shadow: 0 4px 12px rgba(34, 34, 76, 0.08); }
+        main.narrow { max-width: 400px; margin-top: 80px; }
+        h1 { font-size: 22px; margin: 0 0 16px; }
+        header { display: flex; justify-content: space-between; align-items: center; }
+        header nav { display: flex; gap: 16px; }
+        a { color: #0092FF; }
+        label { display: block; font-weight: 600; margin-bottom: 4px; }
+        input, select { padding: 8px 10px; border: 2px solid #D9DFEA; border-radius: 8px; font: inherit; }
+        button { padding: 8px 16px; background: #0092FF; color: #FFFFFF; border: none; border-radius: 50px; font: inherit; font-weight: 600; cursor: pointer; }
+        button.secondary { background: #E5E9F1; color: #22224C; }
+        button.danger { background: #FFFFFF; color: #B42318; border: 2px solid #B42318; }
+        button:focus, input:focus, select:focus { outline: 2px solid #22224C; outline-offset: 2px; }
+        .filters { display: flex; flex-wrap: wrap; gap: 12px; align-items: flex-end; margin-bottom: 16px; }
+        .notice { padding: 10px 14px; background: #C6E7FF; border-radius: 8px; }
+        .error { padding: 10px 14px; background: #FEE4E2; border-radius: 8px; }
+        table { width: 100%; border-collapse: collapse; }
+        th, td { text-align: left; padding: 8px; border-bottom: 1px solid #E5E9F1; vertical-align: top; }
+        th { color: #65738B; font-weight: 600; }
+        td form { display: inline; }
+        .status { display: inline-block; padding: 2px 8px; border-radius: 50px; background: #E5E9F1; }
+        .url { word-break: break-all; }
+        .pagination { display: flex; justify-content: space-between; align-items: center; margin-top: 16px; color: #65738B; }
+        .stack > * + * { margin-top: 12px; }
+    </style>
+</head>
+<body>
+    ${body}
+</body>
+</html>`
+  };
+}
+
+function redirect(location, headers = {}) {
+  return { status: 303, headers: { Location: location, ...headers } };
+}
+
+// Only redirect back into the console, never to another site
+function safeReturnTo(value) {
+  return typeof value === 'string' && /^\/admin(\?|$)/.test(value) ? value : '/admin';
+}
+
+function withNotice(returnTo, notice) {
+  const [pathname, search = ''] = returnTo.split('?');
+  const params = new URLSearchParams(search);
+  params.set('notice', notice);
+  return `${pathname}?${params}`;
+}
+
+function renderLoginForm(error) {
+  return `<main class="narrow">
+        <h1>Career Launch admin</h1>
+        <form method="post" action="/admin/login" class="stack">
+            ${error ? `<p class="error" role="alert">${escapeHtml(error)}</p>` : ''}
+            <div><label for="username">Username</label><input id="username" name="username" autocomplete="username" required></div>
+            <div><label for="password">Password</label><input id="password" name="password" type="password" autocomplete="current-password" required></div>
+            <button type="submit">Sign in</button>
+        </form>
+    </main>`;
+}
+
+/**
+ * Show the sign-in form (GET /admin/login)
+ * @param {Object} request - Normalized request
+ * @returns {Promise<Object>} - Response as { status, headers, body }
+ */
+async function loginPage(request) {
+  if (!isAdminLoginConfigured()) {
+    return adminPage(503, {
+      title: 'Admin not configured',
+      body: '<main class="narrow"><h1>Admin not configured</h1><p>Set ADMIN_USERNAME and ADMIN_PASSWORD_HASH to enable the admin console.</p></main>'
+    });
+  }
+
+  if (getSession(request)) return redirect('/admin');
+
+  return adminPage(200, { title: 'Sign in', body: renderLoginForm() });
+}
+
+/**
+ * Check credentials and start a session (POST /admin/login)
+ * @param {Object} request - Normalized request ({ body: { username, password }, ip })
+ * @returns {Promise<Object>} - Redirect into the console, or the form with an error
+ */
+async function login(request) {
+  if (!isAdminLoginConfigured()) return loginPage(request);
+
+  const limit = await loginLimiter.check(`admin-login:${request.ip || 'unknown'}`);
+  if (!limit.allowed) {
+    const retryAfter = Math.max(Math.ceil(limit.retryAfterMs / 1000), 1);
+    const page = adminPage(429, { title: 'Sign in', body: renderLoginForm('Too many sign-in attempts. Try again later.') });
+    page.headers['Retry-After'] = String(retryAfter);
+    return page;
+  }
+
+  const { username, password } = request.body;
+  if (!await checkCredentials(username, password)) {
+    logger.warn('Failed admin sign-in', { ip: request.ip });
+    return adminPage(401, { title: 'Sign in', body: renderLoginForm('Incorrect username or password.') });
+  }
+
+  return redirect('/admin', { 'Set-Cookie': createSessionCookie(username) });
+}
+
+/**
+ * End the session (POST /admin/logout)
+ * @returns {Promise<Object>} - Redirect to the sign-in form
+ */
+async function logout() {
+  return redirect('/admin/login', { 'Set-Cookie': clearSessionCookie() });
+}
+
+// Board filter value: the directory ID when known, otherwise the typed name
+function boardKey(capture) {
+  return capture.schoolBoardId || capture.schoolBoard || '';
+}
+
+function boardLabel(capture) {
+  const board = capture.schoolBoardId && getBoard(capture.schoolBoardId);
+  return board ? board.name : (capture.schoolBoard || '');
+}
+
+function matchesSearch(capture, search) {
+  return ['email', 'name', 'school', 'schoolBoard']
+    .some(field => String(capture[field] || '').toLowerCase().includes(search));
+}
+
+function selectOptions(name, label, options, selected) {
+  const items = options.map(([value, text]) =>
+    `<option value="${escapeHtml(value)}"${value === selected ? ' selected' : ''}>${escapeHtml(text)}</option>`
+  ).join('');
+
+  return `<div><label for="${name}">${label}</label><select id="${name}" name="${name}"><option value="">All</option>${items}</select></div>`;
+}
+
+function actionForm(action, capture, csrf, returnTo, label, className = '') {
+  const confirm = action === 'delete'
+    ? ' onsubmit="return confirm(\'Delete this lead? This cannot be undone.\')"'
+    : '';
+
+  return `<form method="post" action="/admin/leads/${action}"${confirm}>
+                    <input type="hidden" name="_csrf" value="${escapeHtml(csrf)}">
+                    <input type="hidden" name="id" value="${escapeHtml(capture.id)}">
+                    <input type="hidden" name="returnTo" value="${escapeHtml(returnTo)}">
+                    <button type="submit"${className ? ` class="${className}"` : ''}>${label}</button>
+                </form>`;
+}
+
+function formatTime(value) {
+  return value ? String(value).slice(0, 16).replace('T', ' ') : '';
+}
+
+function renderHeader(title, session, csrf) {
+  return `<header>
+            <h1>${escapeHtml(title)}</h1>
+            <nav aria-label="Admin">
+                <a href="/admin"${title === 'Leads' ? ' aria-current="page"' : ''}>Leads</a>
+                <a href="/admin/webhooks"${title === 'Webhook deliveries' ? ' aria-current="page"' : ''}>Webhook deliveries</a>
+                <form method="post" action="/admin/logout">
+                    <input type="hidden" name="_csrf" value="${escapeHtml(csrf)}">
+                    <button type="submit" class="secondary">Sign out ${escapeHtml(session.u)}</button>
+                </form>
+            </nav>
+        </header>`;
+}
+
+// Clamp the requested page and slice it out of the matching items
+function paginate(items, requestedPage) {
+  const pageCount = Math.max(Math.ceil(items.length / PAGE_SIZE), 1);
+  const page = Math.min(Math.max(parseInt(requestedPage, 10) || 1, 1), pageCount);
+  return { page, pageCount, rows: items.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE) };
+}
+
+function renderPagination({ page, pageCount }, total, pageUrl) {
+  const first = total === 0 ? 0 : (page - 1) * PAGE_SIZE + 1;
+  const last = Math.min(page * PAGE_SIZE, total);
+
+  return `<nav class="pagination" aria-label="Pagination">
+            <span>Showing ${first}–${last} of ${total}</span>
+            <span>
+                ${page > 1 ? `<a href="${escapeHtml(pageUrl(page - 1))}">Previous</a>` : ''}
+                Page ${page} of ${pageCount}
+                ${page < pageCount ? `<a href="${escapeHtml(pageUrl(page + 1))}">Next</a>` : ''}
+            </span>
+        </nav>`;
+}
+
+// Listing URL with the given filters and page number
+function listUrl(pathname, filterParams, number) {
+  const params = new URLSearchParams(filterParams);
+  if (number > 1) params.set('page', String(number));
+  const queryString = params.toString();
+  return queryString ? `${pathname}?${queryString}` : pathname;
+}
+
+/**
+ * Leads list with search, filters and pagination (GET /admin)
+ * @param {Object} request - Normalized request ({ query: { q, board, source, status, page, notice } })
+ * @param {Object} session - Admin session
+ * @returns {Promise<Object>} - Response as { status, headers, body }
+ */
+async function leadsPage(request, session) {
+  const query = request.query || {};
+  const search = typeof query.q === 'string' ? query.q.trim().toLowerCase() : '';
+  const board = typeof query.board === 'string' ? query.board : '';
+  const source = typeof query.source === 'string' ? query.source : '';
+  const status = typeof query.status === 'string' ? query.status : '';
+
+  const captures = await captureStore.readAll();
+
+  // Filter choices come from what's actually stored
+  const boards = new Map();
+  const sources = new Set();
+  captures.forEach((capture) => {
+    if (boardKey(capture)) boards.set(boardKey(capture), boardLabel(capture));
+    if (capture.source) sources.add(capture.source);
+  });
+
+  const matching = captures
+    .filter(capture => !search || matchesSearch(capture, search))
+    .filter(capture => !board || boardKey(capture) === board)
+    .filter(capture => !source || capture.source === source)
+    .filter(capture => !status || capture.status === status)
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+
+  const pagination = paginate(matching, query.page);
+  const { page, rows } = pagination;
+
+  const filterParams = new URLSearchParams();
+  if (search) filterParams.set('q', query.q.trim());
+  if (board) filterParams.set('board', board);
+  if (source) filterParams.set('source', source);
+  if (status) filterParams.set('status', status);
+
+  const pageUrl = number => listUrl('/admin', filterParams, number);
+
+  // Exports take the same board, source and status filters (search is list-only)
+  const exportUrl = (format) => {
+    const params = new URLSearchParams({ format });
+    if (board) params.set('board', board);
+    if (source) params.set('source', source);
+    if (status) params.set('status', status);
+    return `/admin/export?${params}`;
+  };
+
+  const csrf = csrfToken(session);
+  const returnTo = pageUrl(page);
+  const notice = NOTICES[query.notice];
+
+  const tableRows = rows.map(capture => `<tr>
+                <td>${escapeHtml(formatTime(capture.createdAt))}</td>
+                <td>${escapeHtml(capture.email)}</td>
+                <td>${escapeHtml(capture.name || '')}</td>
+                <td>${escapeHtml(boardLabel(capture))}</td>
+                <td>${escapeHtml(capture.role || '')}</td>
+                <td>${escapeHtml(capture.source || '')}</td>
+                <td><span class="status">${escapeHtml(capture.status)}</span>${capture.lastError ? `<br><small>${escapeHtml(capture.lastError)}</small>` : ''}</td>
+                <td>
+                ${RESYNCABLE.includes(capture.status) ? actionForm('resync', capture, csrf, returnTo, 'Re-sync', 'secondary') : ''}
+                ${actionForm('delete', capture, csrf, returnTo, 'Delete', 'danger')}
+                </td>
+            </tr>`).join('');
+
+  return adminPage(200, {
+    title: 'Leads',
+    body: `<main>
+        ${renderHeader('Leads', session, csrf)}
+        ${notice ? `<p class="notice" role="status">${escapeHtml(notice)}</p>` : ''}
+        <form method="get" action="/admin" class="filters">
+            <div><label for="q">Search</label><input id="q" name="q" type="search" value="${escapeHtml(query.q || '')}" placeholder="Email, name, school"></div>
+            ${selectOptions('board', 'Board', Array.from(boards).sort((a, b) => a[1].localeCompare(b[1])), board)}
+            ${selectOptions('source', 'Source', Array.from(sources).sort().map(value => [value, value]), source)}
+            ${selectOptions('status', 'Sync status', Object.values(STATUS).map(value => [value, value]), status)}
+            <button type="submit">Filter</button>
+            <a href="/admin">Clear</a>
+            <span>Export: <a href="${escapeHtml(exportUrl('csv'))}">CSV</a> · <a href="${escapeHtml(exportUrl('ndjson'))}">NDJSON</a></span>
+        </form>
+        <table>
+            <thead><tr><th>Created (UTC)</th><th>Email</th><th>Name</th><th>Board</th><th>Role</th><th>Source</th><th>Status</th><th>Actions</th></tr></thead>
+            <tbody>
+            ${tableRows || '<tr><td colspan="8">No leads match these filters.</td></tr>'}
+            </tbody>
+        </table>
+        ${renderPagination(pagination, matching.length, pageUrl)}
+    </main>`
+  });
+}
+
+/**
+ * Signup webhook delivery log, newest first (GET /admin/webhooks)
+ * @param {Object} request - Normalized request ({ query: { status, page } })
+ * @param {Object} session - Admin session
+ * @returns {Promise<Object>} - Response as { status, headers, body }
+ */
+async function webhooksPage(request, session) {
+  const query = request.query || {};
+  const status = typeof query.status === 'string' ? query.status : '';
+
+  const deliveries = await deliveryLog.readAll();
+  const matching = deliveries
+    .filter(delivery => !status || delivery.status === status)
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+
+  const pagination = paginate(matching, query.page);
+  const filterParams = new URLSearchParams();
+  if (status) filterParams.set('status', status);
+
+  const tableRows = pagination.rows.map((delivery) => {
+    const response = [
+      delivery.responseStatus ? `HTTP ${delivery.responseStatus}` : '',
+      delivery.durationMs !== undefined ? `${delivery.durationMs} ms` : ''
+    ].filter(Boolean).join(', ');
+
+    return `<tr>
+                <td>${escapeHtml(formatTime(delivery.createdAt))}</td>
+                <td>${escapeHtml(delivery.event)}<br><small>${escapeHtml(delivery.id)}</small></td>
+                <td>${escapeHtml(delivery.email || '')}</td>
+                <td class="url">${escapeHtml(delivery.url)}</td>
+                <td><span class="status">${escapeHtml(delivery.status)}</span>${delivery.lastError ? `<br><small>${escapeHtml(delivery.lastError)}</small>` : ''}</td>
+                <td>${escapeHtml(String(delivery.attempts || 0))}</td>
+                <td>${escapeHtml(response)}</td>
+                <td>${escapeHtml(formatTime(delivery.deliveredAt || delivery.nextAttemptAt))}</td>
+            </tr>`;
+  }).join('');
+
+  return adminPage(200, {
+    title: 'Webhook deliveries',
+    body: `<main>
+        ${renderHeader('Webhook deliveries', session, csrfToken(session))}
+        ${isWebhookEnabled() ? '' : '<p class="notice" role="status">No webhook URLs are configured. Set SIGNUP_WEBHOOK_URLS to send signup.created events.</p>'}
+        <form method="get" action="/admin/webhooks" class="filters">
+            ${selectOptions('status', 'Status', Object.values(DELIVERY_STATUS).map(value => [value, value]), status)}
+            <button type="submit">Filter</button>
+            <a href="/admin/webhooks">Clear</a>
+        </form>
+        <table>
+            <thead><tr><th>Created (UTC)</th><th>Event</th><th>Lead</th><th>URL</th><th>Status</th><th>Attempts</th><th>Last response</th><th>Delivered / next attempt (UTC)</th></tr></thead>
+            <tbody>
+            ${tableRows || '<tr><td colspan="8">No deliveries match this filter.</td></tr>'}
+            </tbody>
+        </table>
+        ${renderPagination(pagination, matching.length, number => listUrl('/admin/webhooks', filterParams, number))}
+    </main>`
+  });
+}
+
+/**
+ * Push one lead to the providers now (POST /admin/leads/resync)
+ * @param {Object} request - Normalized request ({ body: { id, returnTo } })
+ * @param {Object} session - Admin session
+ * @returns {Promise<Object>} - Redirect back to the list with a notice
+ */
+async function resyncLead(request, session) {
+  const returnTo = safeReturnTo(request.body.returnTo);
+  const capture = await captureStore.get(request.body.id);
+
+  if (!capture) return redirect(withNotice(returnTo, 'not-found'));
+  if (!RESYNCABLE.includes(capture.status)) return redirect(withNotice(returnTo, 'not-resyncable'));
+
+  // Quarantine logs no consent event; log the consent stored with the capture on
+  // release. Leads quarantined before it was stored have none to log.
+  if (capture.status === STATUS.QUARANTINED) {
+    if (capture.consentedAt) {
+      await recordConsentEvent(EVENTS.GIVEN, capture, capture);
+    } else if (!isDoubleOptInEnabled()) {
+      return redirect(withNotice(returnTo, 'no-consent'));
+    }
+  }
+
+  if (capture.status === STATUS.QUARANTINED && isDoubleOptInEnabled()) {
+    logger.info('Admin releasing quarantined capture for confirmation', { admin: session.u, captureId: capture.id });
+    await captureStore.update(capture.id, { status: STATUS.UNCONFIRMED });
+    const released = { ...capture, status: STATUS.UNCONFIRMED };
+    try {
+      await sendConfirmationEmail(released);
+    } catch (mailError) {
+      logger.error('Confirmation email failed', { captureId: capture.id, error: mailError });
+      await markCapture(released, { lastError: mailError.message });
+      return redirect(withNotice(returnTo, 'confirmation-failed'));
+    }
+    return redirect(withNotice(returnTo, 'confirmation-sent'));
+  }
+
+  logger.info('Admin re-syncing capture', { admin: session.u, captureId: capture.id });
+  const { synced } = await syncToProviders(capture, capture);
+
+  return redirect(withNotice(returnTo, synced ? 'resynced' : 'resync-failed'));
+}
+
+/**
+ * Permanently delete one lead from the capture store (POST /admin/leads/delete)
+ * @param {Object} request - Normalized request ({ body: { id, returnTo } })
+ * @param {Object} session - Admin session
+ * @returns {Promise<Object>} - Redirect back to the list with a notice
+ */
+async function deleteLead(request, session) {
+  const returnTo = safeReturnTo(request.body.returnTo);
+  const removed = await captureStore.remove(request.body.id);
+
+  if (removed) {
+    logger.info('Admin deleted capture', { admin: session.u, captureId: request.body.id });
+  }
+
+  return redirect(withNotice(returnTo, removed ? 'deleted' : 'not-found'));
+}
+
+module.exports = {
+  loginPage,
+  login,
+  logout,
+  leadsPage,
+  webhooksPage,
+  resyncLead,
+  deleteLead
+};
@@ -0,0 +1,163 @@
+// Session login for the /admin console
+// Credentials come from ADMIN_USERNAME and ADMIN_PASSWORD_HASH (made with
+// `npm run admin:hash-password`). Sessions are signed cookies, and every
+// form carries a CSRF token bound to the session.
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { signToken, verifyToken } = require('./signed-tokens');
+const { config } = require('./config');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_COOKIE = 'admin_session';
+const SESSION_PURPOSE = 'admin-session';
+const CSRF_PURPOSE = 'admin-csrf';
+const SESSION_TTL_MS = 8 * 60 * 60 * 1000;
+const KEY_LENGTH = 64;
+
+/**
+ * Hash a password for ADMIN_PASSWORD_HASH
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} - Hash as scrypt$<salt>$<key>
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('base64url')}$${key.toString('base64url')}`;
+}
+
+async function verifyPassword(password, storedHash) {
+  const [scheme, salt, key] = String(storedHash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !key) return false;
+
+  const expected = Buffer.from(key, 'base64url');
+  const actual = await scrypt(String(password), Buffer.from(salt, 'base64url'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function isAdminLoginConfigured() {
+  return Boolean(config.ADMIN_USERNAME && config.ADMIN_PASSWORD_HASH);
+}
+
+/**
+ * Check submitted admin credentials
+ * @param {string} username - Submitted username
+ * @param {string} password - Submitted password
+ * @returns {Promise<boolean>} - True if they match the configured admin
+ */
+async function checkCredentials(username, password) {
+  if (!isAdminLoginConfigured()) return false;
+
+  // Always hash, so a wrong username takes as long as a wrong password
+  const passwordMatches = await verifyPassword(password || '', config.ADMIN_PASSWORD_HASH);
+
+  const expected = crypto.createHash('sha256').update(config.ADMIN_USERNAME).digest();
+  const actual = crypto.createHash('sha256').update(String(username || '')).digest();
+  return crypto.timingSafeEqual(expected, actual) && passwordMatches;
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  String(header || '').split(';').forEach((pair) => {
+    const index = pair.indexOf('=');
+    if (index < 0) return;
+    try {
+      cookies[pair.slice(0, index).trim()] = decodeURIComponent(pair.slice(index + 1).trim());
+    } catch (e) {
+      // Malformed cookie from another app on the domain; ignore it
+    }
+  });
+  return cookies;
+}
+
+function cookieHeader(value, maxAgeSeconds) {
+  const attributes = [
+    `${SESSION_COOKIE}=${value}`,
+    'Path=/admin',
+    `Max-Age=${maxAgeSeconds}`,
+    'HttpOnly',
+    'SameSite=Strict'
+  ];
+  if (config.NODE_ENV === 'production') attributes.push('Secure');
+  return attributes.join('; ');
+}
+
+/**
+ * Start a session for a signed-in admin
+ * @param {string} username - Admin username
+ * @returns {string} - Set-Cookie header value
+ */
+function createSessionCookie(username) {
+  const token = signToken(SESSION_PURPOSE, {
+    u: username,
+    sid: crypto.randomBytes(16).toString('base64url')
+  }, { expiresInMs: SESSION_TTL_MS });
+
+  return cookieHeader(token, SESSION_TTL_MS / 1000);
+}
+
+function clearSessionCookie() {
+  return cookieHeader('', 0);
+}
+
+/**
+ * Read the admin session from a request's cookies
+ * @param {Object} request - Normalized request
+ * @returns {Object|null} - Session payload ({ u, sid }), or null if signed out
+ */
+function getSession(request) {
+  const cookies = parseCookies(request.headers && request.headers.cookie);
+  return verifyToken(SESSION_PURPOSE, cookies[SESSION_COOKIE]);
+}
+
+/**
+ * CSRF token for forms rendered in a session
+ * @param {Object} session - Session payload
+ * @returns {string} - Token to put in a hidden _csrf field
+ */
+function csrfToken(session) {
+  return signToken(CSRF_PURPOSE, { sid: session.sid }, { expiresInMs: SESSION_TTL_MS });
+}
+
+function isValidCsrf(session, token) {
+  const payload = verifyToken(CSRF_PURPOSE, token);
+  return Boolean(payload && payload.sid === session.sid);
+}
+
+/**
+ * Wrap a service handler so it only runs for a signed-in admin.
+ * POSTs must also carry the session's CSRF token in _csrf.
+ * @param {Function} handler - Service handler, called with (request, session)
+ * @returns {Function} - Guarded handler
+ */
+function requireAdminSession(handler) {
+  return async (request) => {
+    const session = getSession(request);
+
+    if (!session) {
+      if (request.method === 'GET') {
+        return { status: 303, headers: { Location: '/admin/login' } };
+      }
+      return { status: 401, body: { message: 'Unauthorized' } };
+    }
+
+    if (request.method !== 'GET' && !isValidCsrf(session, request.body._csrf)) {
+      return { status: 403, body: { message: 'Invalid or missing CSRF token' } };
+    }
+
+    return handler(request, session);
+  };
+}
+
+module.exports = {
+  hashPassword,
+  checkCredentials,
+  isAdminLoginConfigured,
+  createSessionCookie,
+  clearSessionCookie,
+  getSession,
+  csrfToken,
+  isValidCsrf,
+  requireAdminSession
+};
@@ -0,0 +1,57 @@
+// Invisible bot checks for the signup form
+// A honeypot field real users never see, and a signed render timestamp
+// (issued by /api/form-token) so instant or forged submissions stand out.
+
+const { signToken, verifyToken } = require('./signed-tokens');
+const { config } = require('./config');
+
+const HONEYPOT_FIELD = 'website';
+const FORM_TOKEN_PURPOSE = 'form';
+const FORM_TOKEN_TTL_MS = 2 * 60 * 60 * 1000;
+const MIN_SUBMIT_MS = config.BOT_MIN_SUBMIT_MS;
+
+/**
+ * Issue a form token recording when the form was rendered. The response also
+ * tells the form which fields the server requires, so both check the same ones.
+ * @returns {Promise<Object>} - Response as { status, headers, body }
+ */
+async function issueFormToken() {
+  return {
+    status: 200,
+    headers: { 'Cache-Control': 'no-store' },
+    body: {
+      token: signToken(FORM_TOKEN_PURPOSE, {}, { expiresInMs: FORM_TOKEN_TTL_MS }),
+      minSubmitMs: MIN_SUBMIT_MS,
+      requiredFields: config.SIGNUP_REQUIRED_FIELDS
+    }
+  };
+}
+
+/**
+ * Check a submission for bot signals
+ * @param {Object} body - Submitted fields
+ * @param {number} now - Current time in milliseconds
+ * @returns {string[]} - Reasons the submission looks automated (empty if none)
+ */
+function detectBot(body, now = Date.now()) {
+  const reasons = [];
+
+  if (body[HONEYPOT_FIELD]) {
+    reasons.push('honeypot');
+  }
+
+  const token = verifyToken(FORM_TOKEN_PURPOSE, body.formToken);
+  if (!token) {
+    reasons.push(body.formToken ? 'invalid_form_token' : 'missing_form_token');
+  } else if (now - token.iat < MIN_SUBMIT_MS) {
+    reasons.push('submitted_too_fast');
+  }
+
+  return reasons;
+}
+
+module.exports = {
+  issueFormToken,
+  detectBot,
+  HONEYPOT_FIELD
+};
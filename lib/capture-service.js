@@ -0,0 +1,267 @@
+// Email capture service
+// Holds validation, provider calls and response shaping for /api/email-capture.
+// Deployment targets (Express, Vercel) call it through lib/http-adapters.js.
+
+const { captureStore, STATUS } = require('./capture-store');
+const { syncToProviders, markCapture } = require('./subscription-sync');
+const { isDoubleOptInEnabled, sendConfirmationEmail } = require('./confirmation');
+const { captureLimiters } = require('./rate-limiter');
+const { detectBot } = require('./bot-detection');
+const proofOfWork = require('./proof-of-work');
+const { recordConsentEvent, consentContext, EVENTS } = require('./consent-log');
+const { getConsentText } = require('./consent-texts');
+const { canonicalizeBoard, boardForEmail } = require('./school-boards');
+const { emitSignupCreated } = require('./signup-webhooks');
+const { logger } = require('./logger');
+const { config } = require('./config');
+const { captureSubmissions } = require('./metrics');
+const FormValidator = require('../js/validation');
+
+const DEFAULT_SOURCE = 'career-launch-landing';
+
+// capture_submissions_total outcomes. zoho_fallback: stored for the outbox
+// because a provider failed, Zoho or any other.
+const OUTCOMES = {
+  SUCCESS: 'success',
+  CONFIRMATION_SENT: 'confirmation_sent',
+  VALIDATION_ERROR: 'validation_error',
+  ZOHO_FALLBACK: 'zoho_fallback',
+  RATE_LIMITED: 'rate_limited',
+  CHALLENGE_REQUIRED: 'challenge_required',
+  QUARANTINED: 'quarantined',
+  ERROR: 'error'
+};
+
+// Same validator the browser runs, so the server rejects exactly what the client rejects
+const validator = new FormValidator({ requiredFields: config.SIGNUP_REQUIRED_FIELDS });
+
+const MESSAGES = {
+  INVALID_EMAIL: 'Please provide a valid email address',
+  INVALID_FIELDS: 'Please check the highlighted fields and try again',
+  SUBSCRIBED: 'Thank you! We\'ll notify you as soon as the agenda is available.',
+  CAPTURED: 'Thank you for your interest! We\'ll be in touch soon.',
+  CONFIRMATION_SENT: 'Almost done! Check your inbox for an email from myBlueprint and click the link to confirm your subscription.',
+  SERVER_ERROR: 'An error occurred. Please try again.',
+  RATE_LIMITED: 'Too many requests. Please wait a moment and try again.',
+  CHALLENGE_REQUIRED: 'Please try again to complete a quick security check.'
+};
+
+/**
+ * Handle an email capture submission
+ * @param {Object} request - Normalized request ({ body, headers, ip })
+ * @returns {Promise<Object>} - Response as { status, body }
+ */
+async function captureEmail(request) {
+  const { source } = request.body || {};
+
+  const ip = request.ip || 'unknown';
+
+  // Per-IP limit counts every attempt, valid or not
+  const ipLimited = await checkRateLimit('ip', ip);
+  if (ipLimited) {
+    await proofOfWork.flagIp(ip);
+    return withOutcome(OUTCOMES.RATE_LIMITED, ipLimited);
+  }
+  await proofOfWork.recordSubmission(ip);
+
+  // Field-level error codes map back to FormValidator.errors in the browser
+  const validation = validator.validateFormData(request.body || {});
+  if (!validation.isValid) {
+    return withOutcome(OUTCOMES.VALIDATION_ERROR, {
+      status: 400,
+      body: {
+        message: Object.keys(validation.codes).length === 1 && validation.codes.email
+          ? MESSAGES.INVALID_EMAIL
+          : MESSAGES.INVALID_FIELDS,
+        errors: validation.codes
+      }
+    });
+  }
+
+  // Educator details (name, board, role, ...) travel with the capture,
+  // with the board resolved to its directory ID where possible
+  const { email, ...submittedProfile } = validation.data;
+  const profile = { ...canonicalizeBoard(submittedProfile), ...tagEmailDomain(email) };
+
+  const emailLimited = await checkRateLimit('email', email);
+  if (emailLimited) return withOutcome(OUTCOMES.RATE_LIMITED, emailLimited);
+
+  // Under suspicious volume, a solved proof-of-work challenge is required
+  if (await proofOfWork.isChallengeRequired(ip) &&
+      !(await proofOfWork.verifyChallenge(request.body.powChallenge, request.body.powNonce))) {
+    return withOutcome(OUTCOMES.CHALLENGE_REQUIRED, {
+      status: 403,
+      body: { message: MESSAGES.CHALLENGE_REQUIRED, code: 'CHALLENGE_REQUIRED' }
+    });
+  }
+
+  // Set default source if not provided
+  const emailSource = source || DEFAULT_SOURCE;
+
+  // CASL: which consent wording was shown, and where and when it was accepted. Kept on
+  // quarantined captures too, so an admin who releases one has the consent record.
+  const consent = {
+    consentVersion: typeof request.body.consentVersion === 'string' ? request.body.consentVersion : null,
+    consentedAt: new Date().toISOString(),
+    ...consentContext(request)
+  };
+  if (!getConsentText(consent.consentVersion)) {
+    logger.warn('Submission with unknown consent version', { consentVersion: consent.consentVersion });
+  }
+
+  // Suspected bots get the normal thank-you so they learn nothing,
+  // and their capture is kept aside instead of going to the providers.
+  // Without a signing secret no form token can verify, so that's a server
+  // error rather than a reason to quarantine every real signup.
+  let botReasons;
+  try {
+    botReasons = detectBot(request.body);
+  } catch (error) {
+    if (error.code !== 'SIGNING_SECRET_MISSING') throw error;
+    logger.error('Cannot check the form token', { error });
+    return withOutcome(OUTCOMES.ERROR, {
+      status: 500,
+      body: { message: MESSAGES.SERVER_ERROR }
+    });
+  }
+  if (botReasons.length > 0) {
+    return quarantineCapture({ email, source: emailSource, ...profile }, botReasons, consent);
+  }
+
+  if (isDoubleOptInEnabled()) {
+    return captureUnconfirmed({ email, source: emailSource, ...profile }, consent);
+  }
+
+  // Persist before calling the providers so the lead survives a provider failure
+  let capture = null;
+  try {
+    capture = await captureStore.create({ email, source: emailSource, ...profile, ...consent });
+    await recordConsentEvent(EVENTS.GIVEN, capture, consent);
+  } catch (storeError) {
+    logger.error('Capture store write failed', { error: storeError });
+  }
+
+  // Providers and signup webhooks are independent, so neither waits on the other.
+  // Off Vercel, emitSignupCreated only waits for its delivery log entries.
+  const [{ synced }] = await Promise.all([
+    syncToProviders({ email, source: emailSource, ...profile }, capture),
+    capture && emitSignupCreated(capture)
+  ]);
+
+  // Neither a provider nor the store has the lead, so don't thank the user for it
+  if (!synced && !capture) {
+    return withOutcome(OUTCOMES.ERROR, {
+      status: 500,
+      body: { message: MESSAGES.SERVER_ERROR }
+    });
+  }
+
+  return withOutcome(synced ? OUTCOMES.SUCCESS : OUTCOMES.ZOHO_FALLBACK, {
+    status: 200,
+    body: { message: synced ? MESSAGES.SUBSCRIBED : MESSAGES.CAPTURED, email, source: emailSource }
+  });
+}
+
+// Count the submission's outcome on the way out
+function withOutcome(outcome, response) {
+  captureSubmissions.inc({ outcome });
+  return response;
+}
+
+// Double opt-in: store the lead unconfirmed and email a confirmation link.
+// The providers only hear about it once the link is opened (lib/confirmation.js).
+async function captureUnconfirmed(lead, consent) {
+  const { email, source } = lead;
+  let capture;
+  try {
+    capture = await captureStore.create({ ...lead, status: STATUS.UNCONFIRMED, ...consent });
+  } catch (storeError) {
+    logger.error('Capture store write failed', { error: storeError });
+    return withOutcome(OUTCOMES.ERROR, {
+      status: 500,
+      body: { message: MESSAGES.SERVER_ERROR }
+    });
+  }
+
+  await recordConsentEvent(EVENTS.GIVEN, capture, consent);
+
+  try {
+    await sendConfirmationEmail(capture);
+  } catch (mailError) {
+    // The lead is stored; it can be re-sent from the capture store
+    logger.error('Confirmation email failed', { captureId: capture.id, error: mailError });
+    await markCapture(capture, { lastError: mailError.message });
+  }
+
+  await emitSignupCreated(capture);
+
+  return withOutcome(OUTCOMES.CONFIRMATION_SENT, {
+    status: 200,
+    body: { message: MESSAGES.CONFIRMATION_SENT, email, source, confirmationRequired: true }
+  });
+}
+
+// No consent event is logged here; the admin console logs it if the lead is released
+async function quarantineCapture(lead, botReasons, consent) {
+  const { email, source } = lead;
+  logger.warn('Suspected bot submission quarantined', { botReasons });
+  captureSubmissions.inc({ outcome: OUTCOMES.QUARANTINED });
+
+  try {
+    await captureStore.create({ ...lead, status: STATUS.QUARANTINED, botReasons, ...consent });
+  } catch (storeError) {
+    logger.error('Capture store write failed', { error: storeError });
+  }
+
+  // Same response a real signup would get
+  if (isDoubleOptInEnabled()) {
+    return {
+      status: 200,
+      body: { message: MESSAGES.CONFIRMATION_SENT, email, source, confirmationRequired: true }
+    };
+  }
+
+  return {
+    status: 200,
+    body: { message: MESSAGES.SUBSCRIBED, email, source }
+  };
+}
+
+// Tag a lead by what its email domain says: a board address (with the board),
+// a personal provider like Gmail, or anything else
+function tagEmailDomain(email) {
+  const board = boardForEmail(email);
+  if (board) {
+    return { emailDomainType: 'board', emailBoardId: board.id };
+  }
+
+  return { emailDomainType: validator.isPersonalEmail(email) ? 'personal' : 'other' };
+}
+
+// Returns a 429 response when the key is over its limit, otherwise null.
+// Fails open: a broken limiter store must not block real signups.
+async function checkRateLimit(type, value) {
+  let result;
+  try {
+    result = await captureLimiters[type].check(`${type}:${value}`);
+  } catch (limiterError) {
+    logger.error('Rate limiter unavailable', { error: limiterError });
+    return null;
+  }
+
+  if (result.allowed) return null;
+
+  const retryAfter = Math.max(Math.ceil(result.retryAfterMs / 1000), 1);
+  logger.warn('Rate limited', { limit: type, retryAfter });
+
+  return {
+    status: 429,
+    headers: { 'Retry-After': String(retryAfter) },
+    body: { message: MESSAGES.RATE_LIMITED, retryAfter }
+  };
+}
+
+module.exports = {
+  captureEmail,
+  DEFAULT_SOURCE
+};
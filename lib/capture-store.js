@@ -0,0 +1,273 @@
+// Durable capture store
+// Append-only NDJSON file: every write appends one line, either a new capture
+// or a patch to an existing one. The current state of a capture is all of its
+// lines merged in order, so nothing that was written is ever lost. The one
+// exception is remove(), which rewrites the file without a capture's lines.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const { config } = require('./config');
+
+const STATUS = {
+  UNCONFIRMED: 'unconfirmed', // waiting for the double opt-in link to be opened
+  PENDING: 'pending',
+  SYNCED: 'synced',
+  FAILED: 'failed',
+  DEAD: 'dead', // gave up after repeated failures; needs a manual look
+  QUARANTINED: 'quarantined', // suspected bot, never sent to the providers
+  UNSUBSCRIBED: 'unsubscribed' // consent withdrawn
+};
+
+function defaultStorePath() {
+  if (config.CAPTURE_STORE_PATH) {
+    return path.resolve(config.CAPTURE_STORE_PATH);
+  }
+
+  // Serverless filesystems are read-only apart from /tmp
+  if (config.VERCEL) {
+    return '/tmp/myblueprint-captures.ndjson';
+  }
+
+  // server.js only serves the page's asset directories, so this stays private
+  return path.join(__dirname, '..', '.data', 'captures.ndjson');
+}
+
+// Parsed NDJSON lines, skipping blank ones
+async function* readEntries(input) {
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+
+    try {
+      yield JSON.parse(line);
+    } catch (e) {
+      // A torn final line from a crash mid-write; everything before it is intact
+    }
+  }
+}
+
+class CaptureStore {
+  /**
+   * @param {string} filePath - NDJSON file to append to
+   */
+  constructor(filePath = defaultStorePath()) {
+    this.filePath = filePath;
+    this.ready = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  ensureDirectory() {
+    if (!this.ready) {
+      this.ready = fs.promises.mkdir(path.dirname(this.filePath), { recursive: true })
+        .catch((error) => {
+          this.ready = null;
+          throw error;
+        });
+    }
+    return this.ready;
+  }
+
+  // Writes run one at a time, so an append can't land in a file remove() is replacing
+  exclusive(write) {
+    const result = this.writeQueue.then(write);
+    this.writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  async append(entry) {
+    await this.ensureDirectory();
+    await this.exclusive(() => fs.promises.appendFile(this.filePath, `${JSON.stringify(entry)}\n`, 'utf8'));
+  }
+
+  /**
+   * Record a new submission
+   * @param {Object} data - Capture fields ({ email, source, ... })
+   * @returns {Promise<Object>} - Stored capture
+   */
+  async create(data) {
+    const now = new Date().toISOString();
+    const capture = {
+      id: crypto.randomUUID(),
+      ...data,
+      status: data.status || STATUS.PENDING,
+      attempts: 0,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.append(capture);
+    return capture;
+  }
+
+  /**
+   * Append a patch to an existing capture
+   * @param {string} id - Capture ID
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<Object>} - The appended patch
+   */
+  async update(id, changes) {
+    const patch = { id, ...changes, updatedAt: new Date().toISOString() };
+    await this.append(patch);
+    return patch;
+  }
+
+  /**
+   * Record a provider sync outcome, unless the lead unsubscribed while the
+   * providers were being called. Then the status stays unsubscribed and the
+   * unsubscribe is queued again, since the providers have just re-added the lead.
+   * @param {string} id - Capture ID
+   * @param {Object} changes - Sync outcome (status, attempts, providers, ...)
+   * @returns {Promise<Object|null>} - The appended patch, or null if the lead had unsubscribed
+   */
+  async updateSyncOutcome(id, changes) {
+    const current = await this.get(id);
+    if (current && current.status === STATUS.UNSUBSCRIBED) {
+      await this.update(id, { providers: changes.providers, unsubscribePending: true });
+      return null;
+    }
+    return this.update(id, changes);
+  }
+
+  /**
+   * Read every capture in its current state, in creation order
+   * @returns {Promise<Object[]>}
+   */
+  async readAll() {
+    const input = fs.createReadStream(this.filePath, { encoding: 'utf8' });
+    const captures = new Map();
+
+    // Read line by line, so a large store is never held as one string
+    try {
+      for await (const entry of readEntries(input)) {
+        captures.set(entry.id, { ...captures.get(entry.id), ...entry });
+      }
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    return Array.from(captures.values());
+  }
+
+  /**
+   * Yield every capture in its current state without holding the whole store.
+   * A first pass finds the line where each capture last changes; the second
+   * merges lines as it goes and yields each capture at that line, so only
+   * captures with patches still ahead are kept in memory.
+   * @returns {AsyncGenerator<Object>} - Captures in order of their last change
+   */
+  async *stream() {
+    let file;
+    try {
+      file = await fs.promises.open(this.filePath, 'r');
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    // Both passes read the same open file, so a remove() renaming a new one
+    // in between can't shift the lines; anything appended after the first
+    // pass is left for the next read
+    try {
+      const lastLines = new Map();
+      let count = 0;
+      for await (const entry of readEntries(file.createReadStream({ encoding: 'utf8', start: 0, autoClose: false }))) {
+        lastLines.set(entry.id, count);
+        count += 1;
+      }
+
+      const unfinished = new Map();
+      let index = 0;
+      for await (const entry of readEntries(file.createReadStream({ encoding: 'utf8', start: 0, autoClose: false }))) {
+        if (index >= count) break;
+
+        const capture = { ...unfinished.get(entry.id), ...entry };
+        if (lastLines.get(entry.id) === index) {
+          unfinished.delete(entry.id);
+          yield capture;
+        } else {
+          unfinished.set(entry.id, capture);
+        }
+        index += 1;
+      }
+    } finally {
+      await file.close();
+    }
+  }
+
+  /**
+   * Captures for an email, case-insensitive
+   * @param {string} email - Email address
+   * @returns {Promise<Object[]>}
+   */
+  async findByEmail(email) {
+    const target = email.trim().toLowerCase();
+    const captures = await this.readAll();
+    return captures.filter(capture => capture.email.trim().toLowerCase() === target);
+  }
+
+  /**
+   * Permanently remove a capture and all of its patches
+   * @param {string} id - Capture ID
+   * @returns {Promise<boolean>} - True if the capture existed
+   */
+  async remove(id) {
+    return this.exclusive(async () => {
+      let contents;
+      try {
+        contents = await fs.promises.readFile(this.filePath, 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+      }
+
+      let removed = false;
+      const kept = contents.split('\n').filter((line) => {
+        if (!line.trim()) return false;
+        try {
+          if (JSON.parse(line).id !== id) return true;
+        } catch (e) {
+          return false;
+        }
+        removed = true;
+        return false;
+      });
+
+      if (!removed) return false;
+
+      // Write a sibling file and rename over the original, so a crash leaves one or the other
+      const tempPath = `${this.filePath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tempPath, kept.map(line => `${line}\n`).join(''), 'utf8');
+      await fs.promises.rename(tempPath, this.filePath);
+      return true;
+    });
+  }
+
+  async get(id) {
+    const captures = await this.readAll();
+    return captures.find(capture => capture.id === id) || null;
+  }
+
+  /**
+   * List captures, optionally filtered by status
+   * @param {Object} filter - { status }
+   * @returns {Promise<Object[]>}
+   */
+  async list({ status } = {}) {
+    const captures = await this.readAll();
+    const statuses = status ? [].concat(status) : null;
+    return statuses ? captures.filter(capture => statuses.includes(capture.status)) : captures;
+  }
+}
+
+// Shared store for this process
+const captureStore = new CaptureStore();
+
+module.exports = {
+  CaptureStore,
+  captureStore,
+  STATUS
+};
@@ -0,0 +1,118 @@
+// Circuit breaker
+// After `failureThreshold` failures in a row the circuit opens and calls are
+// rejected straight away, without waiting on a service that is down. After
+// `cooldownMs` one trial call is let through (half-open): success closes the
+// circuit, failure opens it for another cooldown.
+
+const STATE = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+class CircuitOpenError extends Error {
+  constructor(name, retryAt) {
+    super(`${name} circuit is open; not calling until ${new Date(retryAt).toISOString()}`);
+    this.name = 'CircuitOpenError';
+    this.code = 'CIRCUIT_OPEN';
+    this.retryAt = retryAt;
+  }
+}
+
+class CircuitBreaker {
+  /**
+   * @param {Object} options - { name, failureThreshold, cooldownMs,
+   *   isFailure(error): whether an error counts (default: all), onStateChange(state, breaker), now }
+   */
+  constructor({
+    name,
+    failureThreshold = 5,
+    cooldownMs = 30 * 1000,
+    isFailure = () => true,
+    onStateChange = () => {},
+    now = Date.now
+  }) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.isFailure = isFailure;
+    this.onStateChange = onStateChange;
+    this.now = now;
+
+    this.state = STATE.CLOSED;
+    this.failures = 0; // in a row
+    this.openedAt = 0;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Run a call through the breaker
+   * @param {Function} fn - Makes the call
+   * @returns {Promise<*>} - What fn resolves to; rejects with CircuitOpenError when open
+   */
+  async run(fn) {
+    if (this.state === STATE.OPEN && this.now() >= this.retryAt()) {
+      this.transition(STATE.HALF_OPEN);
+    }
+
+    if (this.state === STATE.OPEN || (this.state === STATE.HALF_OPEN && this.trialInFlight)) {
+      throw new CircuitOpenError(this.name, this.retryAt());
+    }
+
+    const trial = this.state === STATE.HALF_OPEN;
+    if (trial) this.trialInFlight = true;
+
+    try {
+      const result = await fn();
+      this.recordSuccess();
+      return result;
+    } catch (error) {
+      if (this.isFailure(error)) this.recordFailure();
+      else this.recordSuccess(); // the service answered, just not with what we wanted
+      throw error;
+    } finally {
+      if (trial) this.trialInFlight = false;
+    }
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    if (this.state !== STATE.CLOSED) this.transition(STATE.CLOSED);
+  }
+
+  recordFailure() {
+    this.failures += 1;
+    if (this.state === STATE.HALF_OPEN || this.failures >= this.failureThreshold) {
+      this.openedAt = this.now();
+      this.transition(STATE.OPEN);
+    }
+  }
+
+  retryAt() {
+    return this.openedAt + this.cooldownMs;
+  }
+
+  transition(state) {
+    if (this.state === state) return;
+    this.state = state;
+    this.onStateChange(state, this);
+  }
+
+  /**
+   * Current state, for health checks
+   * @returns {Object} - { state, failures, retryAt }
+   */
+  snapshot() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      retryAt: this.state === STATE.OPEN ? new Date(this.retryAt()).toISOString() : null
+    };
+  }
+}
+
+module.exports = {
+  CircuitBreaker,
+  CircuitOpenError,
+  STATE
+};
@@ -0,0 +1,336 @@
+// Configuration
+// Every environment variable the server reads, with its type and default. The
+// .env file is loaded here, so requiring this module is enough; values are
+// parsed once into `config` and the rest of lib/ reads them from there.
+//
+// validateConfig() checks the values and the settings that depend on each other
+// (a provider's credentials, a webhook secret for webhook URLs...). server.js
+// refuses to start in production when it reports errors, and
+// `npm run config:check` prints the effective configuration with secrets redacted.
+
+const path = require('path');
+const { REGIONS } = require('./zoho-regions');
+const FormValidator = require('../js/validation');
+
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const DEFAULT_PORT = 8080;
+
+// type: string, number (with optional integer, min, max), boolean, enum (one of
+// values), list (comma-separated), url, urls (comma-separated) or json (an
+// object). secret: never printed.
+const SCHEMA = {
+  // Runtime
+  NODE_ENV: { type: 'enum', values: ['development', 'production', 'test'], default: 'development' },
+  PORT: { type: 'number', integer: true, min: 1, default: DEFAULT_PORT },
+  TRUST_PROXY: { type: 'string', description: 'Hop count or subnet of the reverse proxy' },
+  PUBLIC_BASE_URL: { type: 'url', description: 'Origin used in emailed links' },
+  VERCEL: { type: 'boolean', default: false, description: 'Set by Vercel' },
+  VERCEL_URL: { type: 'string', description: 'Set by Vercel' },
+  LOG_LEVEL: { type: 'enum', values: ['debug', 'info', 'warn', 'error'], default: 'info' },
+  LOG_FORMAT: { type: 'enum', values: ['json', 'pretty'], default: 'json' },
+
+  // Email providers
+  EMAIL_PROVIDERS: { type: 'list', default: ['zoho-campaigns'] },
+  EMAIL_PROVIDERS_FAKE: { type: 'boolean', default: false },
+  ZOHO_REGION: { type: 'enum', values: Object.keys(REGIONS), default: 'com', description: 'Zoho data center' },
+  ZOHO_TIMEOUT_MS: { type: 'number', min: 1, default: 2000, description: 'Per Zoho request' },
+  ZOHO_BREAKER_THRESHOLD: { type: 'number', integer: true, min: 1, default: 5, description: 'Failures in a row that open a Zoho circuit' },
+  ZOHO_BREAKER_COOLDOWN_MS: { type: 'number', min: 1, default: 30 * 1000, description: 'How long an open Zoho circuit waits before a trial call' },
+  ZOHO_CAMPAIGNS_CLIENT_ID: { type: 'string' },
+  ZOHO_CAMPAIGNS_CLIENT_SECRET: { type: 'string', secret: true },
+  ZOHO_CAMPAIGNS_REFRESH_TOKEN: { type: 'string', secret: true },
+  ZOHO_CAMPAIGNS_LIST_KEY: { type: 'string' },
+  ZOHO_CAMPAIGNS_FIELD_MAP: { type: 'json' },
+  ZOHO_CRM_CLIENT_ID: { type: 'string', description: 'Defaults to the Campaigns client' },
+  ZOHO_CRM_CLIENT_SECRET: { type: 'string', secret: true },
+  ZOHO_CRM_REFRESH_TOKEN: { type: 'string', secret: true },
+  ZOHO_CRM_FIELD_MAP: { type: 'json' },
+  MAILCHIMP_API_KEY: { type: 'string', secret: true },
+  MAILCHIMP_AUDIENCE_ID: { type: 'string' },
+  MAILCHIMP_MERGE_FIELD_MAP: { type: 'json' },
+  WEBHOOK_PROVIDER_URL: { type: 'url' },
+  WEBHOOK_PROVIDER_TOKEN: { type: 'string', secret: true },
+  WEBHOOK_PROVIDER_HEALTH_URL: { type: 'url' },
+  PROVIDER_TIMEOUT_MS: { type: 'number', min: 1, default: 3000, description: 'Per Mailchimp or webhook provider request' },
+
+  // Storage and background work
+  CAPTURE_STORE_PATH: { type: 'string' },
+  CONSENT_LOG_PATH: { type: 'string' },
+  WEBHOOK_DELIVERY_LOG_PATH: { type: 'string' },
+  OUTBOX_INTERVAL_MS: { type: 'number', min: 1000, description: 'Replay the outbox in server.js; off when unset' },
+  HEALTH_CHECK_TIMEOUT_MS: { type: 'number', min: 1, default: 3000 },
+
+  // Signup webhooks
+  SIGNUP_WEBHOOK_URLS: { type: 'urls', default: [] },
+  SIGNUP_WEBHOOK_SECRET: { type: 'string', secret: true },
+  SIGNUP_WEBHOOK_TIMEOUT_MS: { type: 'number', min: 1, default: 3000 },
+
+  // Signup flow
+  SIGNING_SECRET: { type: 'string', secret: true },
+  DOUBLE_OPT_IN: { type: 'boolean', default: true },
+  MAIL_TRANSPORT: { type: 'enum', values: ['log', 'zeptomail'], default: 'log' },
+  ZEPTOMAIL_API_KEY: { type: 'string', secret: true },
+  MAIL_FROM_ADDRESS: { type: 'string' },
+  MAIL_FROM_NAME: { type: 'string', default: 'myBlueprint' },
+  MAIL_TIMEOUT_MS: { type: 'number', min: 1, default: 3000, description: 'Per ZeptoMail request' },
+
+  // Abuse protection
+  RATE_LIMIT_STORE: { type: 'enum', values: ['memory', 'upstash'], description: 'Defaults to upstash when UPSTASH_REDIS_REST_URL is set' },
+  UPSTASH_REDIS_REST_URL: { type: 'url' },
+  UPSTASH_REDIS_REST_TOKEN: { type: 'string', secret: true },
+  UPSTASH_TIMEOUT_MS: { type: 'number', min: 1, default: 1000, description: 'Per rate limit store request' },
+  RATE_LIMIT_IP_MAX: { type: 'number', integer: true, min: 1, default: 20 },
+  RATE_LIMIT_IP_WINDOW_MS: { type: 'number', min: 1, default: 10 * 60 * 1000 },
+  RATE_LIMIT_EMAIL_MAX: { type: 'number', integer: true, min: 1, default: 3 },
+  RATE_LIMIT_EMAIL_WINDOW_MS: { type: 'number', min: 1, default: 60 * 60 * 1000 },
+  SIGNUP_REQUIRED_FIELDS: {
+    type: 'list',
+    default: FormValidator.DEFAULT_FIELDS.filter(field => field.required).map(field => field.name),
+    description: 'Signup form fields that must be filled in; email always is'
+  },
+  BOT_MIN_SUBMIT_MS: { type: 'number', min: 0, default: 2000 },
+  POW_MODE: { type: 'enum', values: ['off', 'auto', 'always'], default: 'auto' },
+  POW_DIFFICULTY: { type: 'number', integer: true, min: 1, max: 24, default: 16 },
+  POW_SURGE_PER_MINUTE: { type: 'number', integer: true, min: 1, default: 60 },
+  POW_IP_PER_MINUTE: { type: 'number', integer: true, min: 1, default: 5 },
+
+  // Admin
+  ADMIN_API_KEY: { type: 'string', secret: true },
+  ADMIN_USERNAME: { type: 'string' },
+  ADMIN_PASSWORD_HASH: { type: 'string', secret: true }
+};
+
+const BOOLEANS = { true: true, false: false, 1: true, 0: false, yes: true, no: false };
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (e) {
+    return false;
+  }
+}
+
+function splitList(raw) {
+  return raw.split(',').map(value => value.trim()).filter(Boolean);
+}
+
+// Parse one raw value; throws with the reason it is invalid
+function parseValue(spec, raw) {
+  switch (spec.type) {
+    case 'number': {
+      const value = Number(raw);
+      if (!Number.isFinite(value)) throw new Error('must be a number');
+      if (spec.integer && !Number.isInteger(value)) throw new Error('must be a whole number');
+      if (spec.min !== undefined && value < spec.min) throw new Error(`must be at least ${spec.min}`);
+      if (spec.max !== undefined && value > spec.max) throw new Error(`must be at most ${spec.max}`);
+      return value;
+    }
+    case 'boolean': {
+      const value = BOOLEANS[raw.toLowerCase()];
+      if (value === undefined) throw new Error('must be true or false');
+      return value;
+    }
+    case 'enum':
+      if (!spec.values.includes(raw)) throw new Error(`must be one of ${spec.values.join(', ')}`);
+      return raw;
+    case 'list':
+      return splitList(raw);
+    case 'url':
+      if (!isHttpUrl(raw)) throw new Error('must be an http(s) URL');
+      return raw;
+    case 'urls': {
+      const urls = splitList(raw);
+      const invalid = urls.find(url => !isHttpUrl(url));
+      if (invalid) throw new Error(`"${invalid}" is not an http(s) URL`);
+      return urls;
+    }
+    case 'json': {
+      let value;
+      try {
+        value = JSON.parse(raw);
+      } catch (e) {
+        throw new Error('must be valid JSON');
+      }
+      if (!value || typeof value !== 'object' || Array.isArray(value)) throw new Error('must be a JSON object');
+      return value;
+    }
+    default:
+      return raw;
+  }
+}
+
+/**
+ * Parse environment variables against the schema. Unset and invalid values
+ * fall back to their defaults; invalid ones are reported.
+ * @param {Object} env - Variables to read, defaults to process.env
+ * @returns {Object} - { config: { NAME: value }, sources: { NAME: 'env' | 'default' | 'invalid' | 'unset' }, invalid: [{ name, message }] }
+ */
+function loadConfig(env = process.env) {
+  const config = {};
+  const sources = {};
+  const invalid = [];
+
+  Object.entries(SCHEMA).forEach(([name, spec]) => {
+    const raw = typeof env[name] === 'string' ? env[name].trim() : '';
+
+    if (raw) {
+      try {
+        config[name] = parseValue(spec, raw);
+        sources[name] = 'env';
+        return;
+      } catch (error) {
+        invalid.push({ name, message: error.message });
+      }
+    }
+
+    config[name] = spec.default;
+    if (raw) sources[name] = 'invalid';
+    else sources[name] = spec.default === undefined ? 'unset' : 'default';
+  });
+
+  return { config, sources, invalid };
+}
+
+const loaded = loadConfig();
+const config = Object.freeze(loaded.config);
+
+/**
+ * Whether this is a single local process, where per-process fallbacks are
+ * harmless. On Vercel every function is its own process, even in preview.
+ * @param {Object} values - Loaded configuration
+ * @returns {boolean}
+ */
+function isLocalDevelopment(values = config) {
+  return values.NODE_ENV !== 'production' && !values.VERCEL;
+}
+
+// Settings that only matter because of another one. Each returns problems as
+// { name, message, level: 'error' | 'warning' }.
+const RULES = [
+  (values) => {
+    // Required here rather than at the top: the provider modules read config
+    const { ADAPTERS, missingProviderConfig } = require('./providers');
+    const unknown = values.EMAIL_PROVIDERS.filter(name => !ADAPTERS[name]).map(name => ({
+      name: 'EMAIL_PROVIDERS',
+      message: `unknown provider "${name}" (available: ${Object.keys(ADAPTERS).join(', ')})`,
+      level: 'error'
+    }));
+    const none = values.EMAIL_PROVIDERS.length === 0
+      ? [{ name: 'EMAIL_PROVIDERS', message: 'must name at least one provider', level: 'error' }]
+      : [];
+    const missing = missingProviderConfig().flatMap(({ provider, missing: names }) => names.map(name => ({
+      name,
+      message: `required by the ${provider} provider`,
+      level: 'error'
+    })));
+    return [...none, ...unknown, ...missing];
+  },
+  (values) => {
+    if (values.SIGNING_SECRET) return [];
+    // Form, confirm and unsubscribe tokens wouldn't survive a restart or work across instances
+    return isLocalDevelopment(values)
+      ? [{ name: 'SIGNING_SECRET', message: 'not set; tokens use a random per-process secret', level: 'warning' }]
+      : [{ name: 'SIGNING_SECRET', message: 'required outside local development, or tokens signed by one instance fail on another', level: 'error' }];
+  },
+  (values) => {
+    if (!values.DOUBLE_OPT_IN) return [];
+    if (values.MAIL_TRANSPORT === 'zeptomail') {
+      return ['ZEPTOMAIL_API_KEY', 'MAIL_FROM_ADDRESS']
+        .filter(name => !values[name])
+        .map(name => ({ name, message: 'required by MAIL_TRANSPORT=zeptomail', level: 'error' }));
+    }
+    // The log transport sends nothing, so no production signup could ever be confirmed
+    return values.NODE_ENV === 'production'
+      ? [{ name: 'MAIL_TRANSPORT', message: 'DOUBLE_OPT_IN needs MAIL_TRANSPORT=zeptomail in production (or set DOUBLE_OPT_IN=false)', level: 'error' }]
+      : [];
+  },
+  (values) => {
+    const known = FormValidator.DEFAULT_FIELDS.map(field => field.name);
+    return values.SIGNUP_REQUIRED_FIELDS.filter(name => !known.includes(name)).map(name => ({
+      name: 'SIGNUP_REQUIRED_FIELDS',
+      message: `unknown field "${name}" (available: ${known.join(', ')})`,
+      level: 'error'
+    }));
+  },
+  (values) => {
+    if (!values.VERCEL || values.CONSENT_LOG_PATH) return [];
+    // Vercel's /tmp is per instance, so the CASL consent record would be lost
+    return values.NODE_ENV === 'production'
+      ? [{ name: 'CONSENT_LOG_PATH', message: 'required on Vercel in production; point it at durable storage', level: 'error' }]
+      : [{ name: 'CONSENT_LOG_PATH', message: 'not set; consent events are not recorded on Vercel', level: 'warning' }];
+  },
+  (values) => {
+    if (!values.EMAIL_PROVIDERS.includes('mailchimp') || !values.MAILCHIMP_API_KEY) return [];
+    const { isValidApiKey } = require('./providers/mailchimp');
+    return isValidApiKey(values.MAILCHIMP_API_KEY)
+      ? []
+      : [{ name: 'MAILCHIMP_API_KEY', message: 'must end in its data center, e.g. -us21', level: 'error' }];
+  },
+  values => (values.SIGNUP_WEBHOOK_URLS.length > 0 && !values.SIGNUP_WEBHOOK_SECRET
+    ? [{ name: 'SIGNUP_WEBHOOK_SECRET', message: 'required by SIGNUP_WEBHOOK_URLS', level: 'error' }]
+    : []),
+  (values) => {
+    if (!values.VERCEL || values.SIGNUP_WEBHOOK_URLS.length === 0 || values.WEBHOOK_DELIVERY_LOG_PATH) return [];
+    // Vercel's /tmp is per instance, so failed deliveries could never be retried
+    return values.NODE_ENV === 'production'
+      ? [{ name: 'WEBHOOK_DELIVERY_LOG_PATH', message: 'required on Vercel in production when SIGNUP_WEBHOOK_URLS is set; point it at durable storage', level: 'error' }]
+      : [{ name: 'WEBHOOK_DELIVERY_LOG_PATH', message: 'not set; failed deliveries on Vercel are kept in /tmp and never retried', level: 'warning' }];
+  },
+  values => (values.RATE_LIMIT_STORE === 'upstash'
+    ? ['UPSTASH_REDIS_REST_URL', 'UPSTASH_REDIS_REST_TOKEN']
+      .filter(name => !values[name])
+      .map(name => ({ name, message: 'required by RATE_LIMIT_STORE=upstash', level: 'error' }))
+    : []),
+  values => (Boolean(values.ADMIN_USERNAME) !== Boolean(values.ADMIN_PASSWORD_HASH)
+    ? [{ name: values.ADMIN_USERNAME ? 'ADMIN_PASSWORD_HASH' : 'ADMIN_USERNAME', message: 'the admin console needs both ADMIN_USERNAME and ADMIN_PASSWORD_HASH', level: 'warning' }]
+    : [])
+];
+
+/**
+ * Check the loaded configuration
+ * @returns {Object} - { errors: [{ name, message }], warnings: [{ name, message }] }
+ */
+function validateConfig() {
+  const problems = RULES.flatMap(rule => rule(config));
+  const strip = ({ name, message }) => ({ name, message });
+
+  return {
+    errors: [...loaded.invalid, ...problems.filter(problem => problem.level === 'error').map(strip)],
+    warnings: problems.filter(problem => problem.level === 'warning').map(strip)
+  };
+}
+
+/**
+ * Problems from validateConfig() as "NAME: message" strings
+ * @param {Object[]} problems - [{ name, message }]
+ * @returns {string[]}
+ */
+function describeProblems(problems) {
+  return problems.map(({ name, message }) => `${name}: ${message}`);
+}
+
+/**
+ * The effective configuration with secrets redacted, for printing
+ * @returns {Object[]} - [{ name, value, source, description }]
+ */
+function describeConfig() {
+  return Object.entries(SCHEMA).map(([name, spec]) => {
+    let value = config[name];
+    if (value !== undefined && spec.secret) value = '[REDACTED]';
+    else if (Array.isArray(value)) value = value.join(',');
+    else if (value !== undefined && typeof value === 'object') value = JSON.stringify(value);
+
+    return { name, value, source: loaded.sources[name], description: spec.description };
+  });
+}
+
+module.exports = {
+  SCHEMA,
+  config,
+  loadConfig,
+  validateConfig,
+  describeProblems,
+  isLocalDevelopment,
+  describeConfig
+};
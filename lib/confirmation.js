@@ -0,0 +1,144 @@
+// Double opt-in confirmation
+// New captures are stored unconfirmed and sent a signed, expiring link.
+// Opening /api/confirm marks the lead confirmed and only then pushes it to the providers.
+// The link carries the lead itself, because on Vercel each function has its own
+// /tmp capture store and /api/confirm usually can't see the one that stored it.
+
+const { signToken, verifyToken } = require('./signed-tokens');
+const { sendMail, publicBaseUrl } = require('./mailer');
+const { captureStore, STATUS } = require('./capture-store');
+const { syncToProviders, markCapture } = require('./subscription-sync');
+const { pageResponse, escapeHtml } = require('./pages');
+const { consentLog, recordConsentEvent, consentContext, EVENTS } = require('./consent-log');
+const { logger } = require('./logger');
+const { config } = require('./config');
+
+const CONFIRM_PURPOSE = 'confirm';
+const CONFIRM_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+function isDoubleOptInEnabled() {
+  return config.DOUBLE_OPT_IN;
+}
+
+// Store bookkeeping, plus request details that don't belong in a URL
+const NOT_IN_TOKEN = ['id', 'email', 'status', 'attempts', 'createdAt', 'updatedAt', 'ip', 'userAgent'];
+
+function leadFields(capture) {
+  return Object.fromEntries(Object.entries(capture).filter(([key]) => !NOT_IN_TOKEN.includes(key)));
+}
+
+function confirmationUrl(capture) {
+  const token = signToken(CONFIRM_PURPOSE, { id: capture.id, e: capture.email, l: leadFields(capture) }, { expiresInMs: CONFIRM_TTL_MS });
+  return `${publicBaseUrl()}/api/confirm?token=${encodeURIComponent(token)}`;
+}
+
+// Whether the email unsubscribed after the link was issued. A rebuilt capture
+// says unconfirmed whatever happened since, so without this an old link opened
+// on another instance would re-subscribe someone who withdrew consent.
+async function withdrawnSince(email, issuedAt) {
+  const target = email.trim().toLowerCase();
+  const [events, captures] = await Promise.all([
+    consentLog.findByEmail(target),
+    captureStore.findByEmail(target)
+  ]);
+
+  return events.some(event => event.event === EVENTS.WITHDRAWN && Date.parse(event.timestamp) >= issuedAt)
+    || captures.some(capture => capture.status === STATUS.UNSUBSCRIBED && Date.parse(capture.unsubscribedAt) >= issuedAt);
+}
+
+/**
+ * Email the confirmation link for an unconfirmed capture
+ * @param {Object} capture - Stored capture
+ */
+async function sendConfirmationEmail(capture) {
+  const link = confirmationUrl(capture);
+
+  await sendMail({
+    to: capture.email,
+    subject: 'Please confirm your myBlueprint Career Launch updates',
+    text: [
+      'Thanks for your interest in myBlueprint Career Launch.',
+      '',
+      'Please confirm that you want to receive updates, including when the agenda is released:',
+      link,
+      '',
+      'This link expires in 7 days. If you did not sign up, you can ignore this email.'
+    ].join('\n'),
+    html: `<p>Thanks for your interest in myBlueprint Career Launch.</p>
+<p>Please confirm that you want to receive updates, including when the agenda is released:</p>
+<p><a href="${link}">Confirm my subscription</a></p>
+<p>This link expires in 7 days. If you did not sign up, you can ignore this email.</p>`
+  });
+
+  await markCapture(capture, { confirmationSentAt: new Date().toISOString() });
+}
+
+/**
+ * Handle a confirmation link
+ * GET shows a confirm button and POST confirms, so link scanners that
+ * prefetch URLs in school board inboxes can't confirm on the user's behalf.
+ * @param {Object} request - Normalized request with the token in query or body
+ * @returns {Promise<Object>} - HTML page response
+ */
+async function confirmSubscription(request) {
+  const token = request.method === 'POST' ? request.body.token : request.query.token;
+  const payload = verifyToken(CONFIRM_PURPOSE, token);
+
+  if (!payload) {
+    return pageResponse(400, {
+      title: 'Link expired',
+      message: 'This confirmation link is invalid or has expired. Please sign up again on the Career Launch page.'
+    });
+  }
+
+  // Rebuilt from the token when this instance's store doesn't have it
+  const stored = await captureStore.get(payload.id);
+  const capture = stored || (payload.l && { ...payload.l, id: payload.id, email: payload.e, status: STATUS.UNCONFIRMED });
+
+  if (!capture || capture.email !== payload.e) {
+    return pageResponse(404, {
+      title: 'Signup not found',
+      message: 'We could not find this signup. Please sign up again on the Career Launch page.'
+    });
+  }
+
+  if (capture.status === STATUS.UNCONFIRMED && await withdrawnSince(capture.email, payload.iat)) {
+    logger.info('Confirmation link used after unsubscribing, not confirming', { captureId: capture.id });
+    return pageResponse(410, {
+      title: 'Link no longer valid',
+      message: 'This address unsubscribed after this link was sent. To receive updates again, please sign up again on the Career Launch page.'
+    });
+  }
+
+  if (request.method !== 'POST' && capture.status === STATUS.UNCONFIRMED) {
+    return pageResponse(200, {
+      title: 'Confirm your subscription',
+      message: `Confirm that ${capture.email} should receive myBlueprint Career Launch updates.`,
+      body: `<form method="post" action="/api/confirm">
+            <input type="hidden" name="token" value="${escapeHtml(token)}">
+            <button type="submit">Confirm my subscription</button>
+        </form>`
+    });
+  }
+
+  // Confirming twice is harmless; a rebuilt capture is written whole, and
+  // the providers treat a repeat subscribe as an update
+  if (capture.status === STATUS.UNCONFIRMED) {
+    const confirmedAt = new Date().toISOString();
+    const changes = { status: STATUS.PENDING, confirmedAt };
+    await captureStore.update(capture.id, stored ? changes : { ...capture, ...changes });
+    await recordConsentEvent(EVENTS.CONFIRMED, capture, { ...consentContext(request), pageUrl: null });
+    await syncToProviders(capture, { ...capture, status: STATUS.PENDING, confirmedAt });
+  }
+
+  return pageResponse(200, {
+    title: 'You\'re confirmed!',
+    message: 'Thank you! We\'ll notify you as soon as the Career Launch agenda is available.'
+  });
+}
+
+module.exports = {
+  isDoubleOptInEnabled,
+  sendConfirmationEmail,
+  confirmSubscription
+};
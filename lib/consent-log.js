@@ -0,0 +1,162 @@
+// CASL consent audit log
+// Append-only NDJSON: one line per consent event (given, confirmed, withdrawn)
+// with the consent wording version, time, IP, user agent and page URL.
+
+const fs = require('fs');
+const path = require('path');
+const { config } = require('./config');
+const { getConsentText } = require('./consent-texts');
+const { logger } = require('./logger');
+
+const EVENTS = {
+  GIVEN: 'consent.given', // form submitted with the consent notice shown
+  CONFIRMED: 'consent.confirmed', // double opt-in link confirmed
+  WITHDRAWN: 'consent.withdrawn'
+};
+
+// Vercel's /tmp is per instance and recycled, which is no place for a CASL
+// record, so there is no default there (lib/config.js requires CONSENT_LOG_PATH
+// in production)
+function defaultLogPath() {
+  if (config.CONSENT_LOG_PATH) {
+    return path.resolve(config.CONSENT_LOG_PATH);
+  }
+  if (config.VERCEL) {
+    return null;
+  }
+  // Not under a directory server.js serves; read it through /api/consent
+  return path.join(__dirname, '..', '.data', 'consent-log.ndjson');
+}
+
+function truncate(value, length) {
+  return typeof value === 'string' ? value.slice(0, length) : null;
+}
+
+/**
+ * Build the request context stored with a consent event
+ * @param {Object} request - Normalized request
+ * @returns {Object} - { ip, userAgent, pageUrl }
+ */
+function consentContext(request) {
+  const body = request.body || {};
+  return {
+    ip: request.ip || null,
+    userAgent: truncate(request.headers['user-agent'], 512),
+    pageUrl: truncate(body.pageUrl || request.headers.referer, 2048)
+  };
+}
+
+class ConsentLog {
+  constructor(filePath = defaultLogPath()) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Append a consent event
+   * @param {Object} event - { event, email, captureId, consentVersion, ip, userAgent, pageUrl, ... }
+   * @returns {Promise<Object>} - Stored entry
+   */
+  async record(event) {
+    if (!this.filePath) {
+      throw new Error('CONSENT_LOG_PATH is not set, so consent events are not recorded on Vercel');
+    }
+
+    const entry = {
+      ...event,
+      email: event.email.trim().toLowerCase(),
+      timestamp: new Date().toISOString()
+    };
+
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.appendFile(this.filePath, `${JSON.stringify(entry)}\n`, 'utf8');
+    return entry;
+  }
+
+  /**
+   * All consent events for an email, oldest first
+   * @param {string} email - Email to look up
+   * @returns {Promise<Object[]>}
+   */
+  async findByEmail(email) {
+    if (!this.filePath) return [];
+
+    const target = email.trim().toLowerCase();
+    let contents;
+    try {
+      contents = await fs.promises.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    return contents.split('\n')
+      .filter(line => line.trim())
+      .map((line) => {
+        try {
+          return JSON.parse(line);
+        } catch (e) {
+          return null;
+        }
+      })
+      .filter(entry => entry && entry.email === target);
+  }
+}
+
+const consentLog = new ConsentLog();
+
+/**
+ * Append a consent event for a capture (best-effort, logged on failure)
+ * @param {string} event - One of EVENTS
+ * @param {Object} capture - Stored capture
+ * @param {Object} context - { consentVersion, ip, userAgent, pageUrl }
+ */
+async function recordConsentEvent(event, capture, context) {
+  try {
+    await consentLog.record({
+      event,
+      email: capture.email,
+      captureId: capture.id,
+      source: capture.source,
+      consentVersion: context.consentVersion || capture.consentVersion || null,
+      ip: context.ip,
+      userAgent: context.userAgent,
+      pageUrl: context.pageUrl
+    });
+  } catch (logError) {
+    logger.error('Consent log write failed', { captureId: capture.id, error: logError });
+  }
+}
+
+/**
+ * Answer "when did this person consent?" (admin key required)
+ * @param {Object} request - Normalized request with query.email
+ * @returns {Promise<Object>} - { status, body }
+ */
+async function lookupConsent(request) {
+  const email = request.query.email;
+
+  if (typeof email !== 'string' || !email.includes('@')) {
+    return { status: 400, body: { message: 'Provide an email query parameter' } };
+  }
+
+  const events = await consentLog.findByEmail(email);
+  const versions = [...new Set(events.map(event => event.consentVersion).filter(Boolean))];
+
+  return {
+    status: 200,
+    body: {
+      email: email.trim().toLowerCase(),
+      events,
+      consentTexts: Object.fromEntries(versions.map(version => [version, getConsentText(version)]))
+    }
+  };
+}
+
+module.exports = {
+  ConsentLog,
+  consentLog,
+  consentContext,
+  recordConsentEvent,
+  lookupConsent,
+  EVENTS
+};
@@ -0,0 +1,19 @@
+// Versioned consent wording shown next to the signup form
+// Never edit a published entry: add a new version and update the
+// data-consent-version and text of #consent-notice in index.html to match.
+
+const CONSENT_TEXTS = {
+  '2025-08-v1': 'By signing up, you agree to receive emails from myBlueprint about Career Launch, including agenda and event updates. You can unsubscribe at any time. See our Privacy Policy.'
+};
+
+const CURRENT_CONSENT_VERSION = '2025-08-v1';
+
+function getConsentText(version) {
+  return CONSENT_TEXTS[version] || null;
+}
+
+module.exports = {
+  CONSENT_TEXTS,
+  CURRENT_CONSENT_VERSION,
+  getConsentText
+};
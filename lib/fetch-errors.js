@@ -0,0 +1,18 @@
+// Readable messages for failed fetch calls
+// fetch reports network failures as "fetch failed" with the reason in cause,
+// and AbortSignal.timeout as a TimeoutError that doesn't say what the limit was.
+
+/**
+ * Describe what a fetch call (or reading its body) threw
+ * @param {Error} error - The error
+ * @param {number} timeoutMs - The request's time limit
+ * @returns {string} - e.g. "Timed out after 2000ms" or "fetch failed: ECONNREFUSED"
+ */
+function describeFetchError(error, timeoutMs) {
+  if (error.name === 'TimeoutError') return `Timed out after ${timeoutMs}ms`;
+  return [error.message, error.cause && (error.cause.code || error.cause.message)].filter(Boolean).join(': ');
+}
+
+module.exports = {
+  describeFetchError
+};
@@ -0,0 +1,160 @@
+// Readiness checks for /api/health/ready
+// /api/health only says the process is up. This checks what a signup needs:
+// config, a provider token, closed Zoho circuits, a writable capture store and a
+// draining outbox, so uptime monitoring notices when signups are quietly falling
+// back to the store.
+//
+// Each check resolves to { status: 'ok' | 'warn' | 'fail', ...details }. Details
+// (missing env var names, provider errors, lead counts) are only shown to
+// requests with the admin key; everyone else sees statuses and timings.
+
+const fs = require('fs');
+const path = require('path');
+const { captureStore, STATUS } = require('./capture-store');
+const { checkProviders } = require('./providers');
+const { config, validateConfig, describeProblems } = require('./config');
+const { isAdminRequest } = require('./admin-auth');
+const { circuitStates } = require('./zoho-http');
+const { STATE } = require('./circuit-breaker');
+
+const PROVIDER_CACHE_MS = 60 * 1000; // Zoho limits token refreshes, so monitors can't trigger one per probe
+const STALE_BACKLOG_MS = 15 * 60 * 1000;
+
+let providerCache = null; // { at, promise }
+
+function withTimeout(promise, timeoutMs) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// The same validation server.js runs at startup (lib/config.js)
+async function checkConfig() {
+  const { errors, warnings } = validateConfig();
+
+  if (errors.length > 0) return { status: 'fail', errors: describeProblems(errors), warnings: describeProblems(warnings) };
+  return { status: warnings.length > 0 ? 'warn' : 'ok', warnings: describeProblems(warnings) };
+}
+
+// Each provider's health() gets an access token (Zoho) or pings the API, so
+// results are cached and concurrent probes share one run
+async function checkProviderAccess() {
+  const now = Date.now();
+  const cached = Boolean(providerCache) && now - providerCache.at < PROVIDER_CACHE_MS;
+
+  if (!cached) {
+    providerCache = { at: now, promise: checkProviders() };
+  }
+
+  const providers = await providerCache.promise;
+  return {
+    status: providers.every(provider => provider.ok) ? 'ok' : 'fail',
+    cached,
+    providers
+  };
+}
+
+// Write and remove a probe file next to the store, which is what an append needs
+async function checkStore() {
+  const probePath = path.join(path.dirname(captureStore.filePath), `.health-check-${process.pid}`);
+  await captureStore.ensureDirectory();
+  await fs.promises.writeFile(probePath, new Date().toISOString(), 'utf8');
+  await fs.promises.unlink(probePath);
+  return { status: 'ok' };
+}
+
+async function checkOutbox() {
+  const captures = await captureStore.list({ status: [STATUS.PENDING, STATUS.FAILED, STATUS.DEAD, STATUS.UNSUBSCRIBED] });
+  const backlog = captures.filter(capture => capture.status === STATUS.PENDING || capture.status === STATUS.FAILED);
+  const dead = captures.filter(capture => capture.status === STATUS.DEAD).length;
+  const unsubscribePending = captures.filter(capture => capture.unsubscribePending).length;
+
+  const oldest = backlog.reduce((min, capture) => Math.min(min, Date.parse(capture.createdAt)), Infinity);
+  const oldestAgeMs = backlog.length > 0 ? Date.now() - oldest : 0;
+
+  return {
+    status: dead > 0 || oldestAgeMs > STALE_BACKLOG_MS ? 'warn' : 'ok',
+    backlog: backlog.length,
+    oldestAgeSeconds: Math.round(oldestAgeMs / 1000),
+    dead,
+    unsubscribePending
+  };
+}
+
+// An open circuit means signups are going to the store without trying Zoho
+async function checkCircuits() {
+  const circuits = circuitStates();
+  const tripped = Object.values(circuits).some(circuit => circuit.state !== STATE.CLOSED);
+  return { status: tripped ? 'warn' : 'ok', circuits };
+}
+
+const CHECKS = {
+  config: checkConfig,
+  providers: checkProviderAccess,
+  circuits: checkCircuits,
+  store: checkStore,
+  outbox: checkOutbox
+};
+
+async function runCheck(check, timeoutMs) {
+  const startedAt = Date.now();
+  let result;
+  try {
+    result = await withTimeout(check(), timeoutMs);
+  } catch (error) {
+    result = { status: 'fail', error: error.message };
+  }
+  return { ...result, durationMs: Date.now() - startedAt };
+}
+
+/**
+ * Run every readiness check in parallel
+ * @param {Object} options - { timeoutMs: per-check limit }
+ * @returns {Promise<Object>} - { status: 'ok' | 'degraded' | 'fail', checks: { name: result } }
+ */
+async function runReadinessChecks({ timeoutMs = config.HEALTH_CHECK_TIMEOUT_MS } = {}) {
+  const names = Object.keys(CHECKS);
+  const results = await Promise.all(names.map(name => runCheck(CHECKS[name], timeoutMs)));
+  const checks = Object.fromEntries(names.map((name, index) => [name, results[index]]));
+
+  const statuses = results.map(result => result.status);
+  let status = 'ok';
+  if (statuses.includes('fail')) status = 'fail';
+  else if (statuses.includes('warn')) status = 'degraded';
+
+  return { status, checks };
+}
+
+/**
+ * Readiness endpoint (GET /api/health/ready): 503 when any check fails
+ * @param {Object} request - Normalized request
+ * @returns {Promise<Object>} - Response as { status, headers, body }
+ */
+async function readinessHandler(request) {
+  const startedAt = Date.now();
+  const { status, checks } = await runReadinessChecks();
+  const showDetails = isAdminRequest(request);
+
+  const body = {
+    status,
+    timestamp: new Date().toISOString(),
+    durationMs: Date.now() - startedAt,
+    checks: Object.fromEntries(Object.entries(checks).map(([name, result]) => [
+      name,
+      showDetails ? result : { status: result.status, durationMs: result.durationMs }
+    ]))
+  };
+
+  return {
+    status: status === 'fail' ? 503 : 200,
+    headers: { 'Cache-Control': 'no-store' },
+    body
+  };
+}
+
+module.exports = {
+  runReadinessChecks,
+  readinessHandler
+};
@@ -0,0 +1,194 @@
+// Thin adapters between service handlers and the two deployment targets.
+// A service handler takes a normalized request ({ method, body, query, headers, ip, requestId })
+// and resolves to { status, body, headers }. The body is JSON, an HTML string,
+// or a readable stream for large downloads.
+//
+// Every request gets an ID, taken from the client's X-Request-Id when it sends a
+// sane one. It is echoed in the X-Request-Id response header, added to every log
+// entry and included in JSON error bodies, so a user's reference code leads
+// straight to the server's logs.
+
+const crypto = require('crypto');
+const { pipeline } = require('stream');
+const { logger, withLogContext } = require('./logger');
+const { config, validateConfig, describeProblems } = require('./config');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// Client IDs are logged and echoed back, so only plain tokens are accepted
+const VALID_REQUEST_ID = /^[A-Za-z0-9_-]{8,64}$/;
+
+/**
+ * Give a request its ID and echo it in the response; safe to call more than once
+ * @param {Object} req - Express or Node request
+ * @param {Object} res - Express or Node response
+ * @returns {string} - Request ID
+ */
+function assignRequestId(req, res) {
+  if (!req.requestId) {
+    const clientId = req.headers['x-request-id'];
+    req.requestId = typeof clientId === 'string' && VALID_REQUEST_ID.test(clientId)
+      ? clientId
+      : crypto.randomUUID();
+    res.setHeader(REQUEST_ID_HEADER, req.requestId);
+  }
+  return req.requestId;
+}
+
+/**
+ * Express middleware that assigns request IDs, for routes not wrapped by toExpress
+ */
+function requestIdMiddleware(req, res, next) {
+  assignRequestId(req, res);
+  next();
+}
+
+function normalizeRequest(req, ip) {
+  return {
+    method: req.method,
+    body: req.body || {},
+    query: req.query || {},
+    headers: req.headers,
+    ip,
+    requestId: req.requestId
+  };
+}
+
+// JSON error bodies carry the request ID for the user to quote to support
+function errorBody(message, requestId) {
+  return { message, requestId };
+}
+
+let vercelConfigErrors = null;
+
+// Vercel functions have no startup step, so each one validates the config on its
+// first request instead, with the same rule server.js applies at startup:
+// errors refuse requests in production and are only logged elsewhere
+function configErrorsForVercel() {
+  if (!vercelConfigErrors) {
+    const { errors, warnings } = validateConfig();
+    vercelConfigErrors = config.NODE_ENV === 'production' ? describeProblems(errors) : [];
+
+    if (vercelConfigErrors.length > 0) {
+      logger.error('Invalid configuration, refusing requests (run npm run config:check)', { errors: vercelConfigErrors });
+    } else if (errors.length > 0 || warnings.length > 0) {
+      logger.warn('Configuration problems', { errors: describeProblems(errors), warnings: describeProblems(warnings) });
+    }
+  }
+  return vercelConfigErrors;
+}
+
+// Vercel's edge sets X-Forwarded-For itself, so the first entry is the client
+function vercelClientIp(req) {
+  const forwardedFor = req.headers['x-forwarded-for'];
+  return forwardedFor ? String(forwardedFor).split(',')[0].trim() : (req.socket && req.socket.remoteAddress);
+}
+
+function sendResult(res, result, requestId) {
+  if (result.status >= 400) {
+    logger.info('Request answered with an error', {
+      status: result.status,
+      message: result.body && result.body.message
+    });
+  }
+
+  if (result.headers) {
+    Object.entries(result.headers).forEach(([name, value]) => res.setHeader(name, value));
+  }
+
+  if (result.body === undefined) {
+    return res.status(result.status).end();
+  }
+
+  // Streamed downloads; headers are already sent if it fails midway, so just cut it off
+  if (result.body && typeof result.body.pipe === 'function') {
+    res.status(result.status);
+    return pipeline(result.body, res, (error) => {
+      if (error) logger.error('Streamed response failed', { error });
+    });
+  }
+
+  // Rendered pages
+  if (typeof result.body === 'string') {
+    return res.status(result.status).send(result.body);
+  }
+
+  if (result.status >= 400 && result.body && !Array.isArray(result.body)) {
+    return res.status(result.status).json({ ...result.body, requestId });
+  }
+
+  return res.status(result.status).json(result.body);
+}
+
+/**
+ * Wrap a service handler as an Express route handler
+ * @param {Function} handler - Service handler
+ * @returns {Function} - Express middleware
+ */
+function toExpress(handler) {
+  return async (req, res) => {
+    const requestId = assignRequestId(req, res);
+
+    // Every log entry written while handling the request carries its ID, method and path
+    return withLogContext({ requestId, method: req.method, path: req.path }, async () => {
+      try {
+        // req.ip honours the app's 'trust proxy' setting, so X-Forwarded-For can't be spoofed
+        sendResult(res, await handler(normalizeRequest(req, req.ip)), requestId);
+      } catch (error) {
+        logger.error('Unhandled error in request handler', { error });
+        res.status(500).json(errorBody('An error occurred. Please try again.', requestId));
+      }
+    });
+  };
+}
+
+/**
+ * Wrap a service handler as a Vercel serverless function
+ * @param {Function} handler - Service handler
+ * @param {Object} options - { methods: allowed HTTP methods,
+ *   validateConfig: answer 500 and log the problems when the config is invalid (default true) }
+ * @returns {Function} - Vercel handler
+ */
+function toVercel(handler, { methods = ['POST'], validateConfig: validate = true } = {}) {
+  return async (req, res) => {
+    // Enable CORS for all origins (you can restrict this later)
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', [...methods, 'OPTIONS'].join(', '));
+    res.setHeader('Access-Control-Allow-Headers', `Content-Type, ${REQUEST_ID_HEADER}`);
+    res.setHeader('Access-Control-Expose-Headers', REQUEST_ID_HEADER);
+
+    // Handle preflight OPTIONS request
+    if (req.method === 'OPTIONS') {
+      return res.status(200).end();
+    }
+
+    const requestId = assignRequestId(req, res);
+
+    if (!methods.includes(req.method)) {
+      return res.status(405).json(errorBody('Method not allowed', requestId));
+    }
+
+    // The query string can carry signed tokens, so only the path goes in the context
+    return withLogContext({ requestId, method: req.method, path: String(req.url).split('?')[0] }, async () => {
+      const configErrors = validate ? configErrorsForVercel() : [];
+      if (configErrors.length > 0) {
+        // The problems name env vars and provider settings, so they stay in the logs
+        logger.error('Refusing request, configuration is invalid', { errors: configErrors });
+        return res.status(500).json(errorBody('An error occurred. Please try again.', requestId));
+      }
+
+      try {
+        return sendResult(res, await handler(normalizeRequest(req, vercelClientIp(req))), requestId);
+      } catch (error) {
+        logger.error('Unhandled error in request handler', { error });
+        return res.status(500).json(errorBody('An error occurred. Please try again.', requestId));
+      }
+    });
+  };
+}
+
+module.exports = {
+  toExpress,
+  toVercel,
+  requestIdMiddleware
+};
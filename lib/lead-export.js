@@ -0,0 +1,194 @@
+// Lead export as CSV or NDJSON
+// Shared by GET /api/export (admin key), /admin/export (admin session) and
+// `npm run leads:export`. Rows are written out one at a time as a stream,
+// read from the capture store line by line, so neither the store nor the
+// export is ever held in memory whole.
+
+const { Readable } = require('stream');
+const { captureStore, STATUS } = require('./capture-store');
+const { getBoard } = require('./school-boards');
+
+const FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8'
+};
+
+const CONSENT_STATES = ['confirmed', 'given', 'unconfirmed', 'withdrawn', 'none'];
+
+/**
+ * Where a lead's consent stands
+ * @param {Object} capture - Stored capture
+ * @returns {string} - One of CONSENT_STATES
+ */
+function consentStatus(capture) {
+  if (capture.status === STATUS.UNSUBSCRIBED || capture.unsubscribedAt) return 'withdrawn';
+  if (capture.confirmedAt) return 'confirmed'; // double opt-in link opened
+  if (capture.status === STATUS.UNCONFIRMED) return 'unconfirmed';
+  if (capture.consentedAt) return 'given'; // single opt-in
+  return 'none';
+}
+
+// Export column -> value; the same shape is used for CSV and NDJSON
+const COLUMNS = {
+  id: capture => capture.id,
+  createdAt: capture => capture.createdAt,
+  email: capture => capture.email,
+  name: capture => capture.name,
+  schoolBoard: capture => (getBoard(capture.schoolBoardId) || {}).name || capture.schoolBoard,
+  schoolBoardId: capture => capture.schoolBoardId,
+  school: capture => capture.school,
+  role: capture => capture.role,
+  gradesTaught: capture => capture.gradesTaught,
+  source: capture => capture.source,
+  status: capture => capture.status,
+  syncedAt: capture => capture.syncedAt,
+  emailDomainType: capture => capture.emailDomainType,
+  emailBoardId: capture => capture.emailBoardId,
+  consentStatus,
+  consentVersion: capture => capture.consentVersion,
+  consentedAt: capture => capture.consentedAt,
+  consentIp: capture => capture.ip,
+  consentUserAgent: capture => capture.userAgent,
+  consentPageUrl: capture => capture.pageUrl,
+  confirmedAt: capture => capture.confirmedAt,
+  unsubscribedAt: capture => capture.unsubscribedAt
+};
+
+function exportRecord(capture) {
+  const record = {};
+  Object.entries(COLUMNS).forEach(([column, value]) => {
+    const result = value(capture);
+    record[column] = result === undefined ? null : result;
+  });
+  return record;
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+
+  let text = Array.isArray(value) ? value.join(';') : String(value);
+
+  // Spreadsheets run cells starting with these as formulas
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function parseDate(value, name, endOfDay) {
+  if (!value) return null;
+
+  // A bare date covers that whole day (UTC)
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = new Date(dateOnly && endOfDay ? `${value}T23:59:59.999Z` : value);
+  if (Number.isNaN(date.getTime())) {
+    throw new RangeError(`${name} must be a date like 2025-09-01`);
+  }
+  return date.toISOString();
+}
+
+function optionalString(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+/**
+ * Read export options from query parameters (or CLI flags)
+ * @param {Object} params - { format, from, to, board, consent, source, status }
+ * @returns {Object} - Normalized options
+ * @throws {RangeError} - When an option is not valid
+ */
+function parseExportOptions(params = {}) {
+  const format = optionalString(params.format) || 'csv';
+  if (!FORMATS[format]) {
+    throw new RangeError(`format must be one of: ${Object.keys(FORMATS).join(', ')}`);
+  }
+
+  // consent=confirmed,given keeps leads in either state
+  const consent = optionalString(params.consent) ? params.consent.split(',').map(value => value.trim()) : null;
+  if (consent && consent.some(value => !CONSENT_STATES.includes(value))) {
+    throw new RangeError(`consent must be any of: ${CONSENT_STATES.join(', ')}`);
+  }
+
+  const status = optionalString(params.status);
+  if (status && !Object.values(STATUS).includes(status)) {
+    throw new RangeError(`status must be one of: ${Object.values(STATUS).join(', ')}`);
+  }
+
+  return {
+    format,
+    from: parseDate(optionalString(params.from), 'from', false),
+    to: parseDate(optionalString(params.to), 'to', true),
+    board: optionalString(params.board),
+    source: optionalString(params.source),
+    consent,
+    status
+  };
+}
+
+function matchesOptions(capture, options) {
+  if (options.from && !(capture.createdAt >= options.from)) return false;
+  if (options.to && !(capture.createdAt <= options.to)) return false;
+  if (options.board && capture.schoolBoardId !== options.board && capture.schoolBoard !== options.board) return false;
+  if (options.source && capture.source !== options.source) return false;
+  if (options.status && capture.status !== options.status) return false;
+  if (options.consent && !options.consent.includes(consentStatus(capture))) return false;
+  return true;
+}
+
+/**
+ * Export lines for matching leads, in order of their last change
+ * @param {Object} options - From parseExportOptions
+ * @param {Object} store - Capture store to read
+ * @returns {AsyncGenerator<string>} - CSV (with header) or NDJSON lines
+ */
+async function* exportLines(options, store = captureStore) {
+  if (options.format === 'csv') {
+    // Byte order mark so Excel reads accented names as UTF-8
+    yield `\uFEFF${Object.keys(COLUMNS).join(',')}\r\n`;
+  }
+
+  for await (const capture of store.stream()) {
+    if (!matchesOptions(capture, options)) continue;
+
+    const record = exportRecord(capture);
+    yield options.format === 'csv'
+      ? `${Object.values(record).map(csvCell).join(',')}\r\n`
+      : `${JSON.stringify(record)}\n`;
+  }
+}
+
+/**
+ * Stream an export download (GET /api/export, GET /admin/export)
+ * @param {Object} request - Normalized request ({ query })
+ * @returns {Promise<Object>} - Response with a stream body, or a 400
+ */
+async function exportHandler(request) {
+  let options;
+  try {
+    options = parseExportOptions(request.query);
+  } catch (error) {
+    if (error instanceof RangeError) {
+      return { status: 400, body: { message: error.message } };
+    }
+    throw error;
+  }
+
+  const filename = `career-launch-leads-${new Date().toISOString().slice(0, 10)}.${options.format}`;
+
+  return {
+    status: 200,
+    headers: {
+      'Content-Type': FORMATS[options.format],
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Cache-Control': 'no-store'
+    },
+    body: Readable.from(exportLines(options))
+  };
+}
+
+module.exports = {
+  consentStatus,
+  parseExportOptions,
+  exportLines,
+  exportHandler,
+  CONSENT_STATES
+};
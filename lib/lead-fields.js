@@ -0,0 +1,23 @@
+// Lead fields shared with systems outside this app
+// Only the educator's details go out; consent metadata (IP, user agent) stays local.
+
+const LEAD_FIELDS = ['email', 'source', 'name', 'schoolBoard', 'schoolBoardId', 'school', 'role', 'gradesTaught', 'consentVersion'];
+
+/**
+ * Copy the fields a lead has set
+ * @param {Object} lead - Lead or stored capture
+ * @param {string[]} fields - Fields to copy, defaults to LEAD_FIELDS
+ * @returns {Object}
+ */
+function pickLeadFields(lead, fields = LEAD_FIELDS) {
+  const picked = {};
+  fields.forEach((field) => {
+    if (lead[field] !== undefined && lead[field] !== null) picked[field] = lead[field];
+  });
+  return picked;
+}
+
+module.exports = {
+  LEAD_FIELDS,
+  pickLeadFields
+};
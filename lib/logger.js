@@ -0,0 +1,130 @@
+// Structured logger
+// Writes one JSON line per entry: { time, level, msg, ...request context, ...fields }.
+// Emails are masked and tokens, secrets and credentials redacted before anything
+// is written, so callers can pass leads, responses and errors as they are.
+//
+// LOG_LEVEL: debug, info (default), warn or error.
+// LOG_FORMAT=pretty prints readable lines instead of JSON, for local development.
+
+const { AsyncLocalStorage } = require('async_hooks');
+const util = require('util');
+const { config } = require('./config');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 6;
+
+// Field names whose values are never logged
+const SENSITIVE_KEY = /pass(word)?|secret|token|authorization|cookie|api[-_]?key|signature|csrf/i;
+
+// Applied to every string, in order
+const STRING_REDACTIONS = [
+  // Credentials in headers: "Bearer …", "Zoho-oauthtoken …", "Zoho-enczapikey …"
+  [/\b(Bearer|Zoho-oauthtoken|Zoho-enczapikey)\s+[^\s"',;]+/gi, `$1 ${REDACTED}`],
+  // Zoho OAuth access and refresh tokens
+  [/\b1000\.[0-9a-f]{16,}\.[0-9a-f]{16,}\b/gi, REDACTED],
+  // Signed tokens and JWTs: base64url JSON payload, then a signature
+  [/\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+(\.[A-Za-z0-9_-]+)?/g, REDACTED],
+  // Secrets in query strings and form bodies
+  [/([?&](?:token|access_token|refresh_token|client_secret|key|_csrf)=)[^&\s"']+/gi, `$1${REDACTED}`],
+  // Emails keep their first character and domain: t***@tdsb.on.ca
+  [/([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g, '$1***@$2']
+];
+
+const contextStorage = new AsyncLocalStorage();
+
+function redactString(value) {
+  return STRING_REDACTIONS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), value);
+}
+
+/**
+ * Copy a value with emails masked and secrets redacted
+ * @param {*} value - Anything passed as a log field
+ * @returns {*} - JSON-safe redacted copy
+ */
+function redact(value, depth = 0, seen = new WeakSet()) {
+  if (typeof value === 'string') return redactString(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Date) return value.toISOString();
+
+  if (seen.has(value)) return '[Circular]';
+  if (depth >= MAX_DEPTH) return '[Truncated]';
+  seen.add(value);
+
+  if (value instanceof Error) {
+    const error = { name: value.name, message: redactString(value.message) };
+    if (value.code) error.code = value.code;
+    if (value.status) error.status = value.status;
+    if (value.stack) error.stack = redactString(value.stack);
+    if (value.cause) error.cause = redact(value.cause, depth + 1, seen);
+    return error;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1, seen));
+  }
+
+  const copy = {};
+  Object.entries(value).forEach(([key, item]) => {
+    copy[key] = SENSITIVE_KEY.test(key) && item !== null && item !== undefined
+      ? REDACTED
+      : redact(item, depth + 1, seen);
+  });
+  return copy;
+}
+
+function minimumLevel() {
+  return LEVELS[config.LOG_LEVEL];
+}
+
+function formatPretty(entry) {
+  const { time, level, msg, ...fields } = entry;
+  const details = Object.keys(fields).length > 0
+    ? ` ${util.inspect(fields, { depth: MAX_DEPTH, breakLength: Infinity, colors: process.stdout.isTTY })}`
+    : '';
+  return `${time.slice(11, 23)} ${level.toUpperCase().padEnd(5)} ${msg}${details}`;
+}
+
+function write(level, msg, bindings, fields) {
+  if (LEVELS[level] < minimumLevel()) return;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: redactString(String(msg)),
+    ...redact({ ...contextStorage.getStore(), ...bindings, ...fields })
+  };
+
+  const line = config.LOG_FORMAT === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${line}\n`);
+}
+
+/**
+ * Create a logger; every entry it writes includes the bindings
+ * @param {Object} bindings - Fields added to each entry, e.g. { component: 'outbox' }
+ * @returns {Object} - { debug, info, warn, error, child } taking (msg, fields)
+ */
+function createLogger(bindings = {}) {
+  const logger = { child: extra => createLogger({ ...bindings, ...extra }) };
+  Object.keys(LEVELS).forEach((level) => {
+    logger[level] = (msg, fields) => write(level, msg, bindings, fields);
+  });
+  return logger;
+}
+
+/**
+ * Run a function with fields added to every log entry written while it runs,
+ * including from async work it starts
+ * @param {Object} fields - Request-scoped context, e.g. { method, path }
+ * @param {Function} fn - Function to run
+ * @returns {*} - What fn returns
+ */
+function withLogContext(fields, fn) {
+  return contextStorage.run({ ...contextStorage.getStore(), ...fields }, fn);
+}
+
+module.exports = {
+  logger: createLogger(),
+  withLogContext
+};
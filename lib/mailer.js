@@ -0,0 +1,83 @@
+// Transactional email
+// MAIL_TRANSPORT=zeptomail sends through Zoho ZeptoMail's HTTP API;
+// the default 'log' transport logs messages for local development.
+
+const { config } = require('./config');
+const { logger } = require('./logger');
+const { describeFetchError } = require('./fetch-errors');
+
+function publicBaseUrl() {
+  // Never derived from the Host header: links go out by email to any address
+  if (config.PUBLIC_BASE_URL) return config.PUBLIC_BASE_URL.replace(/\/$/, '');
+  if (config.VERCEL_URL) return `https://${config.VERCEL_URL}`;
+  return `http://localhost:${config.PORT}`;
+}
+
+async function sendWithZeptoMail({ to, subject, text, html }) {
+  const apiKey = config.ZEPTOMAIL_API_KEY;
+  const fromAddress = config.MAIL_FROM_ADDRESS;
+
+  if (!apiKey || !fromAddress) {
+    throw new Error('ZeptoMail not configured (ZEPTOMAIL_API_KEY, MAIL_FROM_ADDRESS)');
+  }
+
+  // Sent inside the signup request, which Vercel stops at 10 seconds
+  const timeoutMs = config.MAIL_TIMEOUT_MS;
+  let response;
+  let errorText;
+  try {
+    response = await fetch('https://api.zeptomail.com/v1.1/email', {
+      method: 'POST',
+      headers: {
+        'Authorization': `Zoho-enczapikey ${apiKey}`,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      },
+      body: JSON.stringify({
+        from: { address: fromAddress, name: config.MAIL_FROM_NAME },
+        to: [{ email_address: { address: to } }],
+        subject,
+        textbody: text,
+        htmlbody: html
+      }),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    errorText = response.ok ? null : await response.text();
+  } catch (error) {
+    throw new Error(`ZeptoMail request failed: ${describeFetchError(error, timeoutMs)}`);
+  }
+
+  if (!response.ok) {
+    throw new Error(`ZeptoMail error: ${response.status} - ${errorText}`);
+  }
+}
+
+// Through the logger, so the recipient is masked and signed links are redacted
+async function logMessage({ to, subject, text }) {
+  logger.info('Email not sent (MAIL_TRANSPORT=log)', { to, subject, text });
+}
+
+const transports = {
+  log: logMessage,
+  zeptomail: sendWithZeptoMail
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - { to, subject, text, html }
+ */
+async function sendMail(message) {
+  const name = config.MAIL_TRANSPORT;
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+  }
+
+  return transport(message);
+}
+
+module.exports = {
+  sendMail,
+  publicBaseUrl
+};
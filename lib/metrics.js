@@ -0,0 +1,220 @@
+// Prometheus metrics
+// A small in-process registry (counters, histograms and gauges read at scrape
+// time) rendered in the Prometheus text format at /metrics. Values are per
+// process, so this is for the Express server; serverless instances each start
+// from zero.
+
+const { logger } = require('./logger');
+
+const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds; Zoho calls usually take 100-800ms, and Vercel gives up at 10s
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const registry = [];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+// Series are keyed by their label values, in labelNames order
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+}
+
+function labelsFromKey(labelNames, key) {
+  const values = JSON.parse(key);
+  return Object.fromEntries(labelNames.map((name, index) => [name, values[index]]));
+}
+
+/**
+ * Counter that only goes up
+ * @param {string} name - Metric name, ending in _total
+ * @param {string} help - Description
+ * @param {string[]} labelNames - Label names
+ * @returns {Object} - { inc(labels, value) }
+ */
+function counter(name, help, labelNames = []) {
+  const series = new Map();
+
+  const metric = {
+    inc(labels = {}, value = 1) {
+      const key = seriesKey(labelNames, labels);
+      series.set(key, (series.get(key) || 0) + value);
+    },
+
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      series.forEach((value, key) => {
+        lines.push(`${name}${formatLabels(labelsFromKey(labelNames, key))} ${value}`);
+      });
+      return lines;
+    }
+  };
+
+  registry.push(metric);
+  return metric;
+}
+
+/**
+ * Histogram of observed values
+ * @param {string} name - Metric name, e.g. ending in _seconds
+ * @param {string} help - Description
+ * @param {string[]} labelNames - Label names
+ * @param {number[]} buckets - Upper bounds, ascending
+ * @returns {Object} - { observe(labels, value), startTimer(labels) }
+ */
+function histogram(name, help, labelNames = [], buckets = LATENCY_BUCKETS) {
+  const series = new Map();
+
+  const metric = {
+    observe(labels = {}, value) {
+      const key = seriesKey(labelNames, labels);
+      if (!series.has(key)) {
+        series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+      }
+
+      const entry = series.get(key);
+      buckets.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index] += 1;
+      });
+      entry.sum += value;
+      entry.count += 1;
+    },
+
+    /**
+     * Start timing; call the returned function to observe the elapsed seconds
+     * @param {Object} labels - Labels known up front
+     * @returns {Function} - end(extraLabels)
+     */
+    startTimer(labels = {}) {
+      const startedAt = process.hrtime.bigint();
+      return (extraLabels = {}) => {
+        const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+        metric.observe({ ...labels, ...extraLabels }, seconds);
+      };
+    },
+
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      series.forEach((entry, key) => {
+        const labels = labelsFromKey(labelNames, key);
+        buckets.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${entry.counts[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${entry.count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${entry.sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${entry.count}`);
+      });
+      return lines;
+    }
+  };
+
+  registry.push(metric);
+  return metric;
+}
+
+/**
+ * Gauge whose values are read when metrics are scraped
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @param {Function} collect - Resolves to [{ labels, value }]
+ */
+function gauge(name, help, collect) {
+  registry.push({
+    async render() {
+      let samples;
+      try {
+        samples = await collect();
+      } catch (error) {
+        // Leave the gauge out rather than fail the whole scrape
+        logger.error('Metrics gauge collection failed', { metric: name, error });
+        return [];
+      }
+
+      return [
+        `# HELP ${name} ${help}`,
+        `# TYPE ${name} gauge`,
+        ...samples.map(({ labels = {}, value }) => `${name}${formatLabels(labels)} ${value}`)
+      ];
+    }
+  });
+}
+
+/**
+ * Every registered metric in the Prometheus text format
+ * @returns {Promise<string>}
+ */
+async function renderMetrics() {
+  const blocks = await Promise.all(registry.map(metric => metric.render()));
+  return `${blocks.flat().join('\n')}\n`;
+}
+
+/**
+ * Prometheus scrape endpoint (GET /metrics)
+ * @returns {Promise<Object>} - Response as { status, headers, body }
+ */
+async function metricsHandler() {
+  return {
+    status: 200,
+    headers: { 'Content-Type': PROMETHEUS_CONTENT_TYPE, 'Cache-Control': 'no-store' },
+    body: await renderMetrics()
+  };
+}
+
+// Metrics recorded in the shared capture path
+
+const captureSubmissions = counter(
+  'capture_submissions_total',
+  'Signup form submissions by outcome',
+  ['outcome']
+);
+
+const zohoRequestDuration = histogram(
+  'zoho_request_duration_seconds',
+  'Latency of calls to Zoho APIs',
+  ['api', 'endpoint', 'outcome']
+);
+
+const zohoTokenRefreshes = counter(
+  'zoho_token_refreshes_total',
+  'Zoho OAuth access token refreshes',
+  ['app', 'outcome']
+);
+
+/**
+ * Time a Zoho API call into zoho_request_duration_seconds
+ * @param {string} api - accounts, campaigns or crm
+ * @param {string} endpoint - Endpoint path, without the query string
+ * @param {Function} fn - Makes the call
+ * @returns {Promise<*>} - What fn resolves to
+ */
+async function timeZohoRequest(api, endpoint, fn) {
+  const end = zohoRequestDuration.startTimer({ api, endpoint });
+  try {
+    const result = await fn();
+    end({ outcome: 'success' });
+    return result;
+  } catch (error) {
+    end({ outcome: 'error' });
+    throw error;
+  }
+}
+
+module.exports = {
+  counter,
+  histogram,
+  gauge,
+  renderMetrics,
+  metricsHandler,
+  captureSubmissions,
+  zohoRequestDuration,
+  zohoTokenRefreshes,
+  timeZohoRequest
+};
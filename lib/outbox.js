@@ -0,0 +1,187 @@
+// Outbox replay worker
+// Retries captures that did not reach every provider, with exponential backoff,
+// and dead-letters them after too many attempts. Also retries failed signup
+// webhook deliveries (lib/signup-webhooks.js). Runs on demand through
+// scripts/replay-outbox.js or on an interval inside server.js.
+
+const { getProviders, unsubscribeEverywhere, describeErrors } = require('./providers');
+const { captureStore, STATUS } = require('./capture-store');
+const { retryWebhookDeliveries } = require('./signup-webhooks');
+const { logger } = require('./logger');
+const { gauge } = require('./metrics');
+
+const DEFAULTS = {
+  batchSize: 50, // leads per bulk request, for providers that have one
+  maxAttempts: 8,
+  baseDelayMs: 60 * 1000,
+  maxDelayMs: 6 * 60 * 60 * 1000,
+  pendingGraceMs: 60 * 1000 // leave fresh captures to the request that created them
+};
+
+// Read from the store on each scrape, so it also counts work left by other instances
+gauge('capture_outbox_depth', 'Captures waiting for the outbox, by status', async () => {
+  const captures = await captureStore.list({ status: [STATUS.PENDING, STATUS.FAILED, STATUS.DEAD] });
+  return [STATUS.PENDING, STATUS.FAILED, STATUS.DEAD].map(status => ({
+    labels: { status },
+    value: captures.filter(capture => capture.status === status).length
+  }));
+});
+
+/**
+ * Delay before the next retry after a given number of attempts
+ * @param {number} attempts - Attempts made so far
+ * @param {Object} options - { baseDelayMs, maxDelayMs }
+ * @returns {number} - Delay in milliseconds
+ */
+function backoffDelay(attempts, { baseDelayMs = DEFAULTS.baseDelayMs, maxDelayMs = DEFAULTS.maxDelayMs } = {}) {
+  return Math.min(baseDelayMs * 2 ** Math.max(attempts - 1, 0), maxDelayMs);
+}
+
+function isDue(capture, now, options) {
+  if (capture.status === STATUS.PENDING) {
+    return now - Date.parse(capture.createdAt) >= options.pendingGraceMs;
+  }
+
+  if (capture.status === STATUS.FAILED) {
+    return !capture.nextAttemptAt || Date.parse(capture.nextAttemptAt) <= now;
+  }
+
+  return false;
+}
+
+// Requests for one provider: bulk batches where it supports them, otherwise one lead at a time
+function providerSends(provider, captures, batchSize) {
+  const sends = [];
+  const batchable = provider.subscribeMany
+    ? captures.filter(capture => !provider.batchable || provider.batchable(capture))
+    : [];
+
+  for (let i = 0; i < batchable.length; i += batchSize) {
+    const batch = batchable.slice(i, i + batchSize);
+    sends.push({ captures: batch, send: () => provider.subscribeMany(batch) });
+  }
+
+  captures.filter(capture => !batchable.includes(capture)).forEach((capture) => {
+    sends.push({ captures: [capture], send: () => provider.subscribe(capture) });
+  });
+
+  return sends;
+}
+
+/**
+ * Replay due captures to the providers that don't have them yet
+ * @param {Object} options - Overrides for DEFAULTS, plus { store, providers, now }
+ * @returns {Promise<Object>} - Summary { due, synced, failed, dead, withdrawn, unsubscribed, webhooks }
+ */
+async function processOutbox(options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const store = options.store || captureStore;
+  const providers = options.providers || getProviders();
+  const now = options.now ? options.now() : Date.now();
+
+  const captures = await store.list({ status: [STATUS.PENDING, STATUS.FAILED] });
+  const due = captures.filter(capture => isDue(capture, now, settings));
+  const summary = { due: due.length, synced: 0, failed: 0, dead: 0, withdrawn: 0 };
+
+  // Per capture: providers that now have it, and errors from the rest
+  const syncedAt = new Date(now).toISOString();
+  const results = new Map(due.map(capture => [capture.id, { providers: { ...capture.providers }, errors: [] }]));
+
+  for (const provider of providers) {
+    const missing = due.filter(capture => !(capture.providers && capture.providers[provider.name]));
+
+    for (const { captures: batch, send } of providerSends(provider, missing, settings.batchSize)) {
+      try {
+        await send();
+        batch.forEach((capture) => { results.get(capture.id).providers[provider.name] = syncedAt; });
+      } catch (error) {
+        logger.error('Outbox batch failed', { provider: provider.name, size: batch.length, error });
+        batch.forEach(capture => results.get(capture.id).errors.push({ provider: provider.name, error }));
+      }
+    }
+  }
+
+  for (const capture of due) {
+    const { providers: synced, errors } = results.get(capture.id);
+    const attempts = (capture.attempts || 0) + 1;
+
+    let outcome;
+    let changes;
+    if (errors.length === 0) {
+      outcome = 'synced';
+      changes = { status: STATUS.SYNCED, attempts, syncedAt, providers: synced };
+    } else if (attempts >= settings.maxAttempts) {
+      outcome = 'dead';
+      changes = { status: STATUS.DEAD, attempts, lastError: describeErrors(errors), providers: synced };
+    } else {
+      outcome = 'failed';
+      const nextAttemptAt = new Date(now + backoffDelay(attempts, settings)).toISOString();
+      changes = { status: STATUS.FAILED, attempts, lastError: describeErrors(errors), providers: synced, nextAttemptAt };
+    }
+
+    // An unsubscribe during the provider calls wins; replayUnsubscribes below sends it again
+    if (await store.updateSyncOutcome(capture.id, changes)) {
+      summary[outcome] += 1;
+    } else {
+      logger.warn('Lead unsubscribed during replay, queued the unsubscribe again', { captureId: capture.id });
+      summary.withdrawn += 1;
+    }
+  }
+
+  summary.unsubscribed = await replayUnsubscribes(store, providers);
+  summary.webhooks = await retryWebhookDeliveries({ now: () => now });
+  return summary;
+}
+
+// Unsubscribes a provider didn't accept at the time; there is no bulk API for these.
+// Every provider is asked again, since unsubscribing twice is harmless.
+async function replayUnsubscribes(store, providers) {
+  const pending = (await store.list({ status: STATUS.UNSUBSCRIBED })).filter(capture => capture.unsubscribePending);
+  let replayed = 0;
+
+  for (const capture of pending) {
+    const { errors } = await unsubscribeEverywhere(capture.email, { providers });
+    if (errors.length === 0) {
+      await store.update(capture.id, { unsubscribePending: false, unsubscribeSyncedAt: new Date().toISOString() });
+      replayed += 1;
+    } else {
+      logger.error('Outbox unsubscribe failed', { captureId: capture.id, errors: describeErrors(errors) });
+    }
+  }
+
+  return replayed;
+}
+
+/**
+ * Run processOutbox on an interval; overlapping runs are skipped
+ * @param {number} intervalMs - Interval between runs
+ * @returns {Function} - Stops the schedule
+ */
+function scheduleOutbox(intervalMs) {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      const summary = await processOutbox();
+      if (summary.due > 0 || summary.unsubscribed > 0 || summary.webhooks.due > 0) {
+        logger.info('Outbox replay', summary);
+      }
+    } catch (error) {
+      logger.error('Outbox replay error', { error });
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  processOutbox,
+  scheduleOutbox,
+  backoffDelay
+};
@@ -0,0 +1,63 @@
+// Minimal server-rendered pages for links opened from email
+// (confirmation, unsubscribe). Brand colours match styles/main.css.
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' };
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => ESCAPES[char]);
+}
+
+/**
+ * Render a simple branded page
+ * @param {Object} options - { title, message, body } (body is trusted HTML)
+ * @returns {string} - HTML document
+ */
+function renderPage({ title, message, body = '' }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>${escapeHtml(title)} | myBlueprint Career Launch</title>
+    <link rel="icon" href="/favicon.ico">
+    <style>
+        body { margin: 0; font-family: 'Open Sans', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; background: #F6F6FF; color: #22224C; }
+        main { max-width: 520px; margin: 80px auto; padding: 32px; background: #FFFFFF; border-radius: 12px; box-shadow: 0 4px 12px rgba(34, 34, 76, 0.08); }
+        h1 { font-size: 24px; margin: 0 0 16px; }
+        p { line-height: 1.5; color: #485163; }
+        a { color: #0092FF; }
+        button { padding: 12px 24px; background: #0092FF; color: #FFFFFF; border: none; border-radius: 50px; font-size: 16px; font-weight: 600; cursor: pointer; }
+        button:focus { outline: 2px solid #22224C; outline-offset: 2px; }
+    </style>
+</head>
+<body>
+    <main>
+        <h1>${escapeHtml(title)}</h1>
+        <p>${escapeHtml(message)}</p>
+        ${body}
+        <p><a href="/">Back to myBlueprint Career Launch</a></p>
+    </main>
+</body>
+</html>`;
+}
+
+/**
+ * Shape a rendered page as a service handler response
+ * @param {number} status - HTTP status
+ * @param {Object} page - renderPage options
+ * @returns {Object} - { status, headers, body }
+ */
+function pageResponse(status, page) {
+  return {
+    status,
+    headers: { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' },
+    body: renderPage(page)
+  };
+}
+
+module.exports = {
+  escapeHtml,
+  renderPage,
+  pageResponse
+};
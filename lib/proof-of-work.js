@@ -0,0 +1,212 @@
+// Hashcash-style proof-of-work challenge for signups
+// Only required when volume looks suspicious (or when forced on), so normal
+// visitors never pay for it. The browser solves it in a Web Worker with no
+// interaction, which keeps the form usable from a keyboard or screen reader.
+
+const crypto = require('crypto');
+const { signToken, verifyToken } = require('./signed-tokens');
+const { SlidingWindowLimiter, sharedStore } = require('./rate-limiter');
+const { config } = require('./config');
+const { logger } = require('./logger');
+
+const CHALLENGE_PURPOSE = 'pow';
+const CHALLENGE_TTL_MS = 10 * 60 * 1000;
+const ESCALATION_MS = 15 * 60 * 1000; // how long a surge or flagged IP keeps challenges on
+const MODES = ['off', 'auto', 'always'];
+const MAX_DIFFICULTY = 24;
+
+const DEFAULT_SETTINGS = {
+  mode: config.POW_MODE,
+  difficulty: config.POW_DIFFICULTY // leading zero bits, 16 is ~65k hashes on average
+};
+
+// Settings changes, surges, flagged IPs and used challenges live in the rate
+// limiter's store, so with Upstash every instance and Vercel function shares them
+const SETTINGS_KEY = 'pow:settings';
+const SURGE_KEY = 'pow:surge';
+const flagKey = ip => `pow:flag:${ip}`;
+const usedKey = salt => `pow:used:${salt}`;
+
+// Softer than the 429 limits: crossing these turns challenges on instead of rejecting
+const surgeLimiter = new SlidingWindowLimiter({
+  store: sharedStore,
+  limit: config.POW_SURGE_PER_MINUTE,
+  windowMs: 60 * 1000
+});
+const ipLimiter = new SlidingWindowLimiter({
+  store: sharedStore,
+  limit: config.POW_IP_PER_MINUTE,
+  windowMs: 60 * 1000
+});
+
+// Like the capture rate limits, a store outage fails open: challenges fall
+// back to the configured mode rather than blocking signups
+async function readState(ip) {
+  try {
+    const [settings, surge, flagged] = await sharedStore.getValues([SETTINGS_KEY, SURGE_KEY, flagKey(ip)]);
+    return { settings: { ...DEFAULT_SETTINGS, ...settings }, surge: Boolean(surge), flagged: Boolean(flagged) };
+  } catch (error) {
+    logger.error('Challenge state unavailable', { error });
+    return { settings: DEFAULT_SETTINGS, surge: false, flagged: false };
+  }
+}
+
+async function getChallengeSettings() {
+  const [settings, surge] = await sharedStore.getValues([SETTINGS_KEY, SURGE_KEY]);
+  return { ...DEFAULT_SETTINGS, ...settings, surgeActive: Boolean(surge) };
+}
+
+/**
+ * Change the mode or difficulty at runtime
+ * @param {Object} changes - { mode, difficulty }
+ * @returns {Promise<Object>} - Updated settings
+ */
+async function updateChallengeSettings({ mode, difficulty } = {}) {
+  const [stored] = await sharedStore.getValues([SETTINGS_KEY]);
+  const settings = { ...DEFAULT_SETTINGS, ...stored };
+
+  if (mode !== undefined) {
+    if (!MODES.includes(mode)) {
+      throw new RangeError(`mode must be one of ${MODES.join(', ')}`);
+    }
+    settings.mode = mode;
+  }
+
+  if (difficulty !== undefined) {
+    const bits = Number(difficulty);
+    if (!Number.isInteger(bits) || bits < 1 || bits > MAX_DIFFICULTY) {
+      throw new RangeError(`difficulty must be an integer from 1 to ${MAX_DIFFICULTY}`);
+    }
+    settings.difficulty = bits;
+  }
+
+  await sharedStore.setValue(SETTINGS_KEY, settings);
+  return getChallengeSettings();
+}
+
+// Mark an IP as suspicious, e.g. after the capture rate limiter rejected it
+async function flagIp(ip) {
+  try {
+    await sharedStore.setValue(flagKey(ip), true, { ttlMs: ESCALATION_MS });
+  } catch (error) {
+    logger.error('Could not flag IP for challenges', { error });
+  }
+}
+
+/**
+ * Feed a submission into the volume checks that turn challenges on
+ * @param {string} ip - Client IP
+ */
+async function recordSubmission(ip) {
+  try {
+    const [global, perIp] = await Promise.all([surgeLimiter.check('pow:surge'), ipLimiter.check(`pow:ip:${ip}`)]);
+
+    if (!global.allowed) {
+      await sharedStore.setValue(SURGE_KEY, true, { ttlMs: ESCALATION_MS });
+    }
+    if (!perIp.allowed) {
+      await flagIp(ip);
+    }
+  } catch (error) {
+    logger.error('Challenge volume check unavailable', { error });
+  }
+}
+
+function requiresChallenge({ settings, surge, flagged }) {
+  if (settings.mode === 'always') return true;
+  if (settings.mode === 'off') return false;
+  return surge || flagged;
+}
+
+async function isChallengeRequired(ip) {
+  return requiresChallenge(await readState(ip));
+}
+
+/**
+ * Issue a challenge if this client currently needs one
+ * @param {Object} request - Normalized request
+ * @returns {Promise<Object>} - Response as { status, headers, body }
+ */
+async function issueChallenge(request) {
+  const state = await readState(request.ip);
+  if (!requiresChallenge(state)) {
+    return { status: 200, headers: { 'Cache-Control': 'no-store' }, body: { required: false } };
+  }
+
+  // The difficulty travels in the signed challenge, so verifying needs no lookup
+  const { difficulty } = state.settings;
+  const challenge = signToken(CHALLENGE_PURPOSE, {
+    salt: crypto.randomBytes(12).toString('hex'),
+    d: difficulty
+  }, { expiresInMs: CHALLENGE_TTL_MS });
+
+  return {
+    status: 200,
+    headers: { 'Cache-Control': 'no-store' },
+    body: { required: true, challenge, difficulty }
+  };
+}
+
+function leadingZeroBits(buffer) {
+  let bits = 0;
+  for (const byte of buffer) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    bits += Math.clz32(byte) - 24;
+    break;
+  }
+  return bits;
+}
+
+/**
+ * Check a submitted solution: SHA-256("<challenge>:<nonce>") must start
+ * with the challenge's number of zero bits, and each challenge works once
+ * @param {string} challenge - Signed challenge from issueChallenge
+ * @param {string|number} nonce - Solution found by the client
+ * @returns {Promise<boolean>}
+ */
+async function verifyChallenge(challenge, nonce) {
+  const payload = verifyToken(CHALLENGE_PURPOSE, challenge);
+  if (!payload || nonce === undefined || nonce === null || nonce === '') return false;
+
+  const hash = crypto.createHash('sha256').update(`${challenge}:${nonce}`).digest();
+  if (leadingZeroBits(hash) < payload.d) return false;
+
+  // Set-if-absent claims the challenge atomically, even across instances
+  try {
+    return await sharedStore.setValue(usedKey(payload.salt), true, {
+      ttlMs: Math.max(payload.exp - Date.now(), 1),
+      onlyIfAbsent: true
+    });
+  } catch (error) {
+    // The work was done; only replay protection is lost while the store is down
+    logger.error('Could not record used challenge', { error });
+    return true;
+  }
+}
+
+// GET returns the current settings, PUT changes them (admin key required)
+async function challengeSettingsHandler(request) {
+  if (request.method === 'PUT') {
+    try {
+      return { status: 200, body: await updateChallengeSettings(request.body) };
+    } catch (error) {
+      if (!(error instanceof RangeError)) throw error;
+      return { status: 400, body: { message: error.message } };
+    }
+  }
+  return { status: 200, body: await getChallengeSettings() };
+}
+
+module.exports = {
+  issueChallenge,
+  verifyChallenge,
+  isChallengeRequired,
+  recordSubmission,
+  flagIp,
+  getChallengeSettings,
+  updateChallengeSettings,
+  challengeSettingsHandler
+};
@@ -0,0 +1,56 @@
+// In-memory stand-in for a provider adapter, for offline development and tests.
+// Each adapter's fake stores the payload the real adapter would have sent,
+// so it shows exactly what the provider would receive.
+// Emails at the fail.test domain make every call fail, to exercise retries.
+
+const FAILING_DOMAIN = '@fail.test';
+
+/**
+ * Create a fake provider
+ * @param {string} name - Name of the adapter it stands in for
+ * @param {Object} options - { toContact: builds the real adapter's payload from a lead }
+ * @returns {Object} - Provider with subscribe, unsubscribe, update, health
+ */
+function createFakeProvider(name, { toContact = lead => ({ ...lead }) } = {}) {
+  const contacts = new Map();
+  const calls = [];
+
+  function record(operation, email) {
+    calls.push({ operation, email, at: new Date().toISOString() });
+
+    if (String(email).toLowerCase().endsWith(FAILING_DOMAIN)) {
+      throw new Error(`${name} (fake): simulated failure for ${email}`);
+    }
+  }
+
+  return {
+    name,
+    fake: true,
+    contacts,
+    calls,
+
+    async subscribe(lead) {
+      record('subscribe', lead.email);
+      contacts.set(lead.email, { ...toContact(lead), subscribed: true });
+    },
+
+    async unsubscribe(email) {
+      record('unsubscribe', email);
+      contacts.set(email, { ...contacts.get(email), subscribed: false });
+    },
+
+    async update(lead) {
+      record('update', lead.email);
+      contacts.set(lead.email, { ...contacts.get(lead.email), ...toContact(lead) });
+    },
+
+    async health() {
+      return { ok: true, detail: 'fake' };
+    }
+  };
+}
+
+module.exports = {
+  createFakeProvider,
+  FAILING_DOMAIN
+};
@@ -0,0 +1,160 @@
+// Email-marketing providers
+// Signups are pushed to every provider listed in EMAIL_PROVIDERS (comma-separated,
+// default "zoho-campaigns"). EMAIL_PROVIDERS_FAKE=true swaps each one for its
+// in-memory fake, for working offline.
+//
+// A provider adapter is an object with:
+//   name                     - key in ADAPTERS, recorded on each capture it synced
+//   subscribe(lead)          - add or re-add a lead ({ email, source, ...profile })
+//   unsubscribe(email)       - withdraw consent; must succeed if the contact is unknown
+//   update(lead)             - change an existing contact's details
+//   health()                 - resolve to { ok, detail }, or throw
+//   batchable(lead), subscribeMany(leads) - optional bulk path used by the outbox
+//
+// and each adapter module exports name, create(), createFake() and
+// missingConfig() (names of required env vars that aren't set).
+
+const { config } = require('../config');
+
+const ADAPTERS = {
+  'zoho-campaigns': require('./zoho-campaigns'),
+  'zoho-crm': require('./zoho-crm'),
+  mailchimp: require('./mailchimp'),
+  webhook: require('./webhook')
+};
+
+let configured = null;
+
+function configuredNames(names = config.EMAIL_PROVIDERS) {
+  const list = Array.isArray(names) ? names : names.split(',');
+  return Array.from(new Set(list.map(value => value.trim()).filter(Boolean)));
+}
+
+/**
+ * Create provider adapters by name
+ * @param {string|string[]} names - Adapter names, or a comma-separated string
+ * @param {Object} options - { fake: use each adapter's fake }
+ * @returns {Object[]} - Provider adapters
+ */
+function createProviders(names = config.EMAIL_PROVIDERS, { fake = config.EMAIL_PROVIDERS_FAKE } = {}) {
+  const list = configuredNames(names);
+
+  if (list.length === 0) {
+    throw new Error('EMAIL_PROVIDERS must name at least one provider');
+  }
+
+  return list.map((adapterName) => {
+    const adapter = ADAPTERS[adapterName];
+    if (!adapter) {
+      throw new Error(`Unknown email provider "${adapterName}" (available: ${Object.keys(ADAPTERS).join(', ')})`);
+    }
+    return fake ? adapter.createFake() : adapter.create();
+  });
+}
+
+/**
+ * Providers configured for this process
+ * @returns {Object[]} - Provider adapters
+ */
+function getProviders() {
+  if (!configured) configured = createProviders();
+  return configured;
+}
+
+// Swap the configured providers, e.g. for fakes in a test script
+function setProviders(providers) {
+  configured = providers;
+}
+
+// Run one operation on several providers at once; one failing doesn't stop the others
+async function fanOut(providers, operation) {
+  const results = await Promise.allSettled(providers.map(operation));
+
+  const outcome = { succeeded: [], errors: [] };
+  results.forEach((result, index) => {
+    if (result.status === 'fulfilled') {
+      outcome.succeeded.push(providers[index].name);
+    } else {
+      outcome.errors.push({ provider: providers[index].name, error: result.reason });
+    }
+  });
+  return outcome;
+}
+
+/**
+ * Subscribe a lead with every provider that doesn't have it yet
+ * @param {Object} lead - { email, source, ...profile fields }
+ * @param {Object} options - { skip: provider names already synced, providers }
+ * @returns {Promise<Object>} - { succeeded: names, errors: [{ provider, error }] }
+ */
+function subscribeLead(lead, { skip = [], providers = getProviders() } = {}) {
+  const targets = providers.filter(provider => !skip.includes(provider.name));
+  return fanOut(targets, provider => provider.subscribe(lead));
+}
+
+/**
+ * Unsubscribe an email from every provider
+ * @param {string} email - Email address
+ * @param {Object} options - { providers }
+ * @returns {Promise<Object>} - { succeeded, errors }
+ */
+function unsubscribeEverywhere(email, { providers = getProviders() } = {}) {
+  return fanOut(providers, provider => provider.unsubscribe(email));
+}
+
+/**
+ * Update a lead's details with every provider
+ * @param {Object} lead - { email, ...profile fields }
+ * @param {Object} options - { providers }
+ * @returns {Promise<Object>} - { succeeded, errors }
+ */
+function updateLead(lead, { providers = getProviders() } = {}) {
+  return fanOut(providers, provider => provider.update(lead));
+}
+
+/**
+ * Check every provider's health
+ * @param {Object} options - { providers }
+ * @returns {Promise<Object[]>} - [{ name, ok, detail }]
+ */
+function checkProviders({ providers = getProviders() } = {}) {
+  return Promise.all(providers.map(async (provider) => {
+    try {
+      const { ok, detail } = await provider.health();
+      return { name: provider.name, ok: Boolean(ok), detail };
+    } catch (error) {
+      return { name: provider.name, ok: false, detail: error.message };
+    }
+  }));
+}
+
+/**
+ * Required env vars missing for the configured providers (none when using fakes)
+ * @returns {Object[]} - [{ provider, missing: [names] }] for providers missing any
+ */
+function missingProviderConfig() {
+  if (config.EMAIL_PROVIDERS_FAKE) return [];
+
+  return configuredNames()
+    .filter(name => ADAPTERS[name])
+    .map(name => ({ provider: name, missing: ADAPTERS[name].missingConfig() }))
+    .filter(({ missing }) => missing.length > 0);
+}
+
+// "zoho-crm: Zoho CRM API error: ..." for a capture's lastError
+function describeErrors(errors) {
+  return errors.map(({ provider, error }) => `${provider}: ${error.message || error}`).join('; ');
+}
+
+module.exports = {
+  ADAPTERS,
+  createProviders,
+  getProviders,
+  setProviders,
+  subscribeLead,
+  unsubscribeEverywhere,
+  updateLead,
+  checkProviders,
+  missingProviderConfig,
+  describeErrors
+};
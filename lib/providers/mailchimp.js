@@ -0,0 +1,157 @@
+// Mailchimp provider
+// Adds signups to an audience (MAILCHIMP_AUDIENCE_ID) through the Marketing API.
+// With DOUBLE_OPT_IN on, consent is already confirmed by our own confirmation
+// link, so members are added as subscribed. With it off, new members are added
+// as pending and Mailchimp sends its own confirmation email.
+
+const crypto = require('crypto');
+const { config } = require('../config');
+const { createFakeProvider } = require('./fake');
+
+const name = 'mailchimp';
+
+// Keys end in their data center, e.g. "...-us21"
+const API_KEY_PATTERN = /-[a-z]+\d+$/;
+
+// Form field -> audience merge tag; FNAME and LNAME come from the name.
+// Other merge fields must exist on the audience, so they are opt-in through
+// MAILCHIMP_MERGE_FIELD_MAP (JSON), e.g. {"schoolBoard":"BOARD","role":"ROLE"}.
+function getMergeFieldMap() {
+  return config.MAILCHIMP_MERGE_FIELD_MAP || {};
+}
+
+function getConfig() {
+  const apiKey = config.MAILCHIMP_API_KEY;
+  const audienceId = config.MAILCHIMP_AUDIENCE_ID;
+
+  if (!apiKey || !audienceId) {
+    throw new Error('Mailchimp API key or audience ID not configured');
+  }
+
+  // Never let a malformed key end up in the hostname (and so in DNS lookups and logs)
+  if (!isValidApiKey(apiKey)) {
+    throw new Error('MAILCHIMP_API_KEY does not end in its data center (e.g. -us21)');
+  }
+
+  const dataCenter = apiKey.split('-').pop();
+  return { apiKey, audienceId, baseUrl: `https://${dataCenter}.api.mailchimp.com/3.0` };
+}
+
+/**
+ * Build the merge fields for a lead
+ * @param {Object} lead - { email, name, ... }
+ * @returns {Object} - Mailchimp merge_fields
+ */
+function buildMergeFields(lead) {
+  const mergeFields = {};
+
+  if (lead.name) {
+    const [firstName, ...rest] = lead.name.trim().split(/\s+/);
+    mergeFields.FNAME = firstName;
+    if (rest.length > 0) mergeFields.LNAME = rest.join(' ');
+  }
+
+  Object.entries(getMergeFieldMap()).forEach(([field, tag]) => {
+    const value = lead[field];
+    if (value === undefined || value === null || value === '') return;
+    mergeFields[tag] = Array.isArray(value) ? value.join(', ') : String(value);
+  });
+
+  return mergeFields;
+}
+
+async function mailchimpRequest(method, path, body) {
+  const { apiKey, baseUrl } = getConfig();
+
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      'Authorization': `Basic ${Buffer.from(`anystring:${apiKey}`).toString('base64')}`,
+      'Content-Type': 'application/json'
+    },
+    body: body ? JSON.stringify(body) : undefined,
+    signal: AbortSignal.timeout(config.PROVIDER_TIMEOUT_MS)
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const error = new Error(`Mailchimp API error: ${response.status} - ${data.detail || data.title || 'request failed'}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return data;
+}
+
+// Members are addressed by the MD5 of their lowercased email
+function memberPath(email) {
+  const { audienceId } = getConfig();
+  const hash = crypto.createHash('md5').update(email.toLowerCase()).digest('hex');
+  return `/lists/${audienceId}/members/${hash}`;
+}
+
+function create() {
+  return {
+    name,
+
+    // PUT creates or updates, so a repeat signup is harmless
+    subscribe(lead) {
+      const member = config.DOUBLE_OPT_IN
+        ? { status_if_new: 'subscribed', status: 'subscribed' }
+        : { status_if_new: 'pending' };
+      return mailchimpRequest('PUT', memberPath(lead.email), {
+        email_address: lead.email,
+        ...member,
+        merge_fields: buildMergeFields(lead)
+      });
+    },
+
+    async unsubscribe(email) {
+      try {
+        await mailchimpRequest('PATCH', memberPath(email), { status: 'unsubscribed' });
+      } catch (error) {
+        // Never reached the audience, so there is nothing to unsubscribe
+        if (error.status !== 404) throw error;
+      }
+    },
+
+    update(lead) {
+      return mailchimpRequest('PATCH', memberPath(lead.email), { merge_fields: buildMergeFields(lead) });
+    },
+
+    async health() {
+      await mailchimpRequest('GET', '/ping');
+      return { ok: true, detail: 'API reachable' };
+    }
+  };
+}
+
+// Env vars the real adapter can't work without
+function missingConfig() {
+  return ['MAILCHIMP_API_KEY', 'MAILCHIMP_AUDIENCE_ID'].filter(name => !config[name]);
+}
+
+/**
+ * Whether an API key names its data center, which becomes the API hostname
+ * @param {string} apiKey - MAILCHIMP_API_KEY
+ * @returns {boolean}
+ */
+function isValidApiKey(apiKey) {
+  return API_KEY_PATTERN.test(apiKey);
+}
+
+function createFake() {
+  return createFakeProvider(name, {
+    toContact: lead => ({ email_address: lead.email, merge_fields: buildMergeFields(lead) })
+  });
+}
+
+module.exports = {
+  name,
+  create,
+  createFake,
+  missingConfig,
+  isValidApiKey,
+  buildMergeFields
+};
@@ -0,0 +1,86 @@
+// Generic HTTP webhook provider
+// POSTs each subscribe, unsubscribe and update as JSON to WEBHOOK_PROVIDER_URL,
+// for tools without a dedicated adapter (Zapier, Make, an internal service...).
+// Any 2xx response counts as delivered; anything else is retried by the outbox.
+
+const { createFakeProvider } = require('./fake');
+const { config } = require('../config');
+const { pickLeadFields } = require('../lead-fields');
+
+const name = 'webhook';
+
+function toPayload(lead) {
+  return pickLeadFields(lead);
+}
+
+async function postEvent(event, data) {
+  const url = config.WEBHOOK_PROVIDER_URL;
+  if (!url) {
+    throw new Error('WEBHOOK_PROVIDER_URL not configured');
+  }
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (config.WEBHOOK_PROVIDER_TOKEN) {
+    headers.Authorization = `Bearer ${config.WEBHOOK_PROVIDER_TOKEN}`;
+  }
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ event, occurredAt: new Date().toISOString(), data }),
+    signal: AbortSignal.timeout(config.PROVIDER_TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Webhook error: ${response.status}`);
+  }
+}
+
+function create() {
+  return {
+    name,
+
+    subscribe(lead) {
+      return postEvent('subscribe', toPayload(lead));
+    },
+
+    unsubscribe(email) {
+      return postEvent('unsubscribe', { email });
+    },
+
+    update(lead) {
+      return postEvent('update', toPayload(lead));
+    },
+
+    // Without a health URL we can only check the webhook is configured
+    async health() {
+      if (!config.WEBHOOK_PROVIDER_URL) {
+        return { ok: false, detail: 'WEBHOOK_PROVIDER_URL not set' };
+      }
+
+      const healthUrl = config.WEBHOOK_PROVIDER_HEALTH_URL;
+      if (!healthUrl) {
+        return { ok: true, detail: 'configured' };
+      }
+
+      const response = await fetch(healthUrl, { signal: AbortSignal.timeout(config.PROVIDER_TIMEOUT_MS) });
+      return { ok: response.ok, detail: `health check returned ${response.status}` };
+    }
+  };
+}
+
+// Env vars the real adapter can't work without
+function missingConfig() {
+  return config.WEBHOOK_PROVIDER_URL ? [] : ['WEBHOOK_PROVIDER_URL'];
+}
+
+function createFake() {
+  return createFakeProvider(name, { toContact: toPayload });
+}
+
+module.exports = {
+  name,
+  create,
+  createFake,
+  missingConfig
+};
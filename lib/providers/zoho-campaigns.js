@@ -0,0 +1,67 @@
+// Zoho Campaigns provider
+// Adapts the API client in lib/zoho-campaigns.js to the provider interface.
+
+const campaigns = require('../zoho-campaigns');
+const { config } = require('../config');
+const { createFakeProvider } = require('./fake');
+
+const name = 'zoho-campaigns';
+
+function toContact(lead) {
+  return campaigns.buildContactInfo(lead.email, lead) || { 'Contact Email': lead.email };
+}
+
+function create() {
+  return {
+    name,
+
+    subscribe(lead) {
+      return campaigns.subscribeToZohoCampaigns(lead.email, lead.source, lead);
+    },
+
+    // Email-only leads (SIGNUP_REQUIRED_FIELDS=email) can share one
+    // addlistsubscribersinbulk request; ones with educator details need
+    // json/listsubscribe to carry custom fields, so they go one by one
+    batchable(lead) {
+      return !campaigns.buildContactInfo(lead.email, lead);
+    },
+
+    subscribeMany(leads) {
+      return campaigns.subscribeManyToZohoCampaigns(leads.map(lead => lead.email));
+    },
+
+    unsubscribe(email) {
+      return campaigns.unsubscribeFromZohoCampaigns(email);
+    },
+
+    // listsubscribe updates the custom fields of a contact already on the list
+    update(lead) {
+      return campaigns.subscribeToZohoCampaigns(lead.email, lead.source, lead);
+    },
+
+    async health() {
+      if (!config.ZOHO_CAMPAIGNS_LIST_KEY) {
+        return { ok: false, detail: 'ZOHO_CAMPAIGNS_LIST_KEY not set' };
+      }
+      await campaigns.getZohoAccessToken();
+      return { ok: true, detail: 'access token available' };
+    }
+  };
+}
+
+// Env vars the real adapter can't work without
+function missingConfig() {
+  return ['ZOHO_CAMPAIGNS_CLIENT_ID', 'ZOHO_CAMPAIGNS_CLIENT_SECRET', 'ZOHO_CAMPAIGNS_REFRESH_TOKEN', 'ZOHO_CAMPAIGNS_LIST_KEY']
+    .filter(name => !config[name]);
+}
+
+function createFake() {
+  return createFakeProvider(name, { toContact });
+}
+
+module.exports = {
+  name,
+  create,
+  createFake,
+  missingConfig
+};
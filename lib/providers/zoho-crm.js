@@ -0,0 +1,183 @@
+// Zoho CRM provider
+// Upserts each signup as a Lead, matched on Email, and sets Email_Opt_Out on
+// unsubscribe. Uses ZOHO_CRM_* OAuth credentials (scope ZohoCRM.modules.leads.ALL),
+// falling back to the Campaigns ones when a single Zoho app has both scopes.
+
+const ZohoTokenManager = require('../zoho-token-manager');
+const { config } = require('../config');
+const { requestZohoAccessToken } = require('../zoho-campaigns');
+const { createFakeProvider } = require('./fake');
+const { zohoFetch, zohoRequest } = require('../zoho-http');
+const { zohoEndpoints } = require('../zoho-regions');
+
+const name = 'zoho-crm';
+const API_BASE = `${zohoEndpoints(config.ZOHO_REGION).api}/crm/v2`;
+const UPSERT_LIMIT = 100; // records per Leads/upsert request
+
+// Form field -> CRM Lead field API name; override with ZOHO_CRM_FIELD_MAP (JSON)
+const DEFAULT_FIELD_MAP = {
+  schoolBoard: 'Company',
+  role: 'Designation'
+};
+
+function crmCredentials() {
+  return {
+    clientId: config.ZOHO_CRM_CLIENT_ID || config.ZOHO_CAMPAIGNS_CLIENT_ID,
+    clientSecret: config.ZOHO_CRM_CLIENT_SECRET || config.ZOHO_CAMPAIGNS_CLIENT_SECRET,
+    refreshToken: config.ZOHO_CRM_REFRESH_TOKEN || config.ZOHO_CAMPAIGNS_REFRESH_TOKEN
+  };
+}
+
+const tokenManager = new ZohoTokenManager(() => requestZohoAccessToken(crmCredentials()), { name: 'crm' });
+
+function getFieldMap() {
+  return { ...DEFAULT_FIELD_MAP, ...config.ZOHO_CRM_FIELD_MAP };
+}
+
+/**
+ * Build a CRM Lead record from a lead
+ * @param {Object} lead - { email, name, schoolBoard, ... }
+ * @returns {Object} - Record for Leads/upsert
+ */
+function buildLeadRecord(lead) {
+  const [firstName, ...rest] = String(lead.name || '').trim().split(/\s+/).filter(Boolean);
+
+  // Last_Name is mandatory on Leads
+  const record = {
+    Email: lead.email,
+    Last_Name: rest.length > 0 ? rest.join(' ') : (firstName || lead.email.split('@')[0])
+  };
+  if (rest.length > 0) record.First_Name = firstName;
+
+  Object.entries(getFieldMap()).forEach(([field, crmField]) => {
+    const value = lead[field];
+    if (value === undefined || value === null || value === '') return;
+    record[crmField] = Array.isArray(value) ? value.join(', ') : String(value);
+  });
+
+  // So is Company, when the field map doesn't fill it
+  if (!record.Company) record.Company = lead.schoolBoard || lead.school || 'Unknown';
+
+  return record;
+}
+
+function sendCrmRequest(method, path, body, accessToken) {
+  const endpoint = path.split('?')[0];
+  return zohoRequest('crm', endpoint, () => fetchCrm(method, path, body, accessToken));
+}
+
+async function fetchCrm(method, path, body, accessToken) {
+  const response = await zohoFetch(`${API_BASE}/${path}`, {
+    method,
+    headers: {
+      'Authorization': `Zoho-oauthtoken ${accessToken}`,
+      'Content-Type': 'application/json'
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  // Searches with no match answer 204 No Content
+  if (response.status === 204) return { data: [] };
+
+  const data = response.data || {};
+
+  if (response.status === 401 || data.code === 'INVALID_TOKEN') {
+    const error = new Error(`Zoho CRM API error: ${data.message || 'invalid OAuth token'}`);
+    error.code = 'INVALID_TOKEN';
+    throw error;
+  }
+
+  if (!response.ok) {
+    throw new Error(`Zoho CRM API error: ${response.status} - ${data.message || JSON.stringify(data)}`);
+  }
+
+  // Per-record failures come back with a 2xx overall status
+  const failed = (data.data || []).find(result => result.status === 'error');
+  if (failed) {
+    throw new Error(`Zoho CRM API error: ${failed.code} - ${failed.message}`);
+  }
+
+  return data;
+}
+
+// Retry once with a fresh token if Zoho rejects the cached one
+async function callZohoCrm(method, path, body) {
+  const accessToken = await tokenManager.getAccessToken();
+
+  try {
+    return await sendCrmRequest(method, path, body, accessToken);
+  } catch (error) {
+    if (error.code !== 'INVALID_TOKEN') throw error;
+
+    tokenManager.invalidate(accessToken);
+    const freshToken = await tokenManager.getAccessToken({ forceRefresh: true });
+    return sendCrmRequest(method, path, body, freshToken);
+  }
+}
+
+function upsertLeads(records) {
+  return callZohoCrm('POST', 'Leads/upsert', {
+    data: records,
+    duplicate_check_fields: ['Email']
+  });
+}
+
+function create() {
+  return {
+    name,
+
+    subscribe(lead) {
+      return upsertLeads([{ ...buildLeadRecord(lead), Email_Opt_Out: false }]);
+    },
+
+    batchable() {
+      return true;
+    },
+
+    async subscribeMany(leads) {
+      for (let i = 0; i < leads.length; i += UPSERT_LIMIT) {
+        await upsertLeads(leads.slice(i, i + UPSERT_LIMIT).map(lead => ({ ...buildLeadRecord(lead), Email_Opt_Out: false })));
+      }
+    },
+
+    // Only opt out an existing Lead; an upsert would create one just to opt it out
+    async unsubscribe(email) {
+      const { data } = await callZohoCrm('GET', `Leads/search?email=${encodeURIComponent(email)}`);
+      if (!data || data.length === 0) return;
+
+      await callZohoCrm('PUT', 'Leads', {
+        data: data.map(record => ({ id: record.id, Email_Opt_Out: true }))
+      });
+    },
+
+    update(lead) {
+      return upsertLeads([buildLeadRecord(lead)]);
+    },
+
+    async health() {
+      await tokenManager.getAccessToken();
+      return { ok: true, detail: 'access token available' };
+    }
+  };
+}
+
+// Env vars the real adapter can't work without; each can come from the Campaigns app
+function missingConfig() {
+  const credentials = crmCredentials();
+  return [['clientId', 'ZOHO_CRM_CLIENT_ID'], ['clientSecret', 'ZOHO_CRM_CLIENT_SECRET'], ['refreshToken', 'ZOHO_CRM_REFRESH_TOKEN']]
+    .filter(([key]) => !credentials[key])
+    .map(([, name]) => name);
+}
+
+function createFake() {
+  return createFakeProvider(name, { toContact: buildLeadRecord });
+}
+
+module.exports = {
+  name,
+  create,
+  createFake,
+  missingConfig,
+  buildLeadRecord,
+  tokenManager
+};
@@ -0,0 +1,234 @@
+// Sliding-window rate limiting for the capture endpoint
+// Stores are pluggable: MemoryStore for dev and single instances,
+// UpstashStore (Redis over HTTP) when limits must be shared between instances.
+// Stores also keep small expiring values, for other state that must be shared
+// the same way (see lib/proof-of-work.js).
+//
+// Limits fail open: a store that errors or doesn't answer within
+// UPSTASH_TIMEOUT_MS lets the request through (see checkRateLimit in
+// lib/capture-service.js), since refusing every signup while Redis is down
+// would be worse than a few unlimited minutes.
+
+const crypto = require('crypto');
+const { config } = require('./config');
+
+class MemoryStore {
+  constructor() {
+    this.hits = new Map();
+    this.values = new Map();
+    this.calls = 0;
+    this.sets = 0;
+  }
+
+  /**
+   * Record a hit if the key is under its limit for the window
+   * @returns {Promise<Object>} - { allowed, count, oldest }
+   */
+  async hit(key, { now, windowMs, limit }) {
+    const since = now - windowMs;
+    const timestamps = (this.hits.get(key) || []).filter(time => time > since);
+    const allowed = timestamps.length < limit;
+
+    if (allowed) {
+      timestamps.push(now);
+    }
+
+    if (timestamps.length > 0) {
+      this.hits.set(key, timestamps);
+    } else {
+      this.hits.delete(key);
+    }
+
+    this.sweep(since);
+    return { allowed, count: timestamps.length, oldest: timestamps[0] };
+  }
+
+  // Drop idle keys now and then so the map cannot grow without bound
+  sweep(since) {
+    this.calls += 1;
+    if (this.calls % 1000 !== 0) return;
+
+    for (const [key, timestamps] of this.hits) {
+      if (timestamps[timestamps.length - 1] <= since) {
+        this.hits.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Set a value, optionally expiring and only if the key has none
+   * @param {string} key - Key
+   * @param {*} value - JSON-serializable value
+   * @param {Object} options - { ttlMs, onlyIfAbsent }
+   * @returns {Promise<boolean>} - Whether the value was set
+   */
+  async setValue(key, value, { ttlMs, onlyIfAbsent = false } = {}) {
+    const now = Date.now();
+    if (onlyIfAbsent && (await this.getValues([key]))[0] !== null) return false;
+
+    this.values.set(key, { value, expiresAt: ttlMs ? now + ttlMs : Infinity });
+
+    // Expired values are otherwise only dropped when read
+    this.sets += 1;
+    if (this.sets % 1000 === 0) {
+      for (const [name, entry] of this.values) {
+        if (entry.expiresAt <= now) this.values.delete(name);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Read values
+   * @param {string[]} keys - Keys
+   * @returns {Promise<Array>} - Values in key order, null where unset or expired
+   */
+  async getValues(keys) {
+    const now = Date.now();
+    return keys.map((key) => {
+      const entry = this.values.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= now) {
+        this.values.delete(key);
+        return null;
+      }
+      return entry.value;
+    });
+  }
+}
+
+class UpstashStore {
+  /**
+   * @param {Object} options - { url, token, prefix, timeoutMs }
+   */
+  constructor({ url, token, prefix = 'mbcl:ratelimit:', timeoutMs = 1000 }) {
+    this.url = url.replace(/\/$/, '');
+    this.token = token;
+    this.prefix = prefix;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async pipeline(commands) {
+    const response = await fetch(`${this.url}/pipeline`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${this.token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(commands),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Rate limit store error: ${response.status}`);
+    }
+
+    return (await response.json()).map(entry => entry.result);
+  }
+
+  async hit(key, { now, windowMs, limit }) {
+    const redisKey = `${this.prefix}${key}`;
+    const member = `${now}-${crypto.randomBytes(4).toString('hex')}`;
+
+    const [, , count, oldest] = await this.pipeline([
+      ['ZREMRANGEBYSCORE', redisKey, 0, now - windowMs],
+      ['ZADD', redisKey, now, member],
+      ['ZCARD', redisKey],
+      ['ZRANGE', redisKey, 0, 0, 'WITHSCORES'],
+      ['PEXPIRE', redisKey, windowMs]
+    ]);
+
+    const allowed = count <= limit;
+    if (!allowed) {
+      // Only allowed hits count, so Retry-After stays accurate
+      await this.pipeline([['ZREM', redisKey, member]]);
+    }
+
+    return { allowed, count: allowed ? count : limit, oldest: Number(oldest[1]) };
+  }
+
+  async setValue(key, value, { ttlMs, onlyIfAbsent = false } = {}) {
+    const command = ['SET', `${this.prefix}${key}`, JSON.stringify(value)];
+    if (ttlMs) command.push('PX', Math.ceil(ttlMs));
+    if (onlyIfAbsent) command.push('NX');
+
+    const [result] = await this.pipeline([command]);
+    return result === 'OK';
+  }
+
+  async getValues(keys) {
+    const [values] = await this.pipeline([['MGET', ...keys.map(key => `${this.prefix}${key}`)]]);
+    return values.map(value => (value === null ? null : JSON.parse(value)));
+  }
+}
+
+class SlidingWindowLimiter {
+  /**
+   * @param {Object} options - { store, limit, windowMs, now }
+   */
+  constructor({ store, limit, windowMs, now = Date.now }) {
+    this.store = store;
+    this.limit = limit;
+    this.windowMs = windowMs;
+    this.now = now;
+  }
+
+  /**
+   * Check and record a request for the key
+   * @param {string} key - e.g. 'ip:203.0.113.7'
+   * @returns {Promise<Object>} - { allowed, remaining, retryAfterMs }
+   */
+  async check(key) {
+    const now = this.now();
+    const { allowed, count, oldest } = await this.store.hit(key, {
+      now,
+      windowMs: this.windowMs,
+      limit: this.limit
+    });
+
+    return {
+      allowed,
+      remaining: Math.max(this.limit - count, 0),
+      retryAfterMs: allowed ? 0 : Math.max(oldest + this.windowMs - now, 0)
+    };
+  }
+}
+
+function createStore() {
+  const url = config.UPSTASH_REDIS_REST_URL;
+  const token = config.UPSTASH_REDIS_REST_TOKEN;
+  const type = config.RATE_LIMIT_STORE || (url ? 'upstash' : 'memory');
+
+  if (type === 'upstash') {
+    if (!url || !token) {
+      throw new Error('RATE_LIMIT_STORE=upstash needs UPSTASH_REDIS_REST_URL and UPSTASH_REDIS_REST_TOKEN');
+    }
+    return new UpstashStore({ url, token, timeoutMs: config.UPSTASH_TIMEOUT_MS });
+  }
+
+  return new MemoryStore();
+}
+
+const store = createStore();
+
+// Many educators on one board network can share an IP, so the IP limit is generous
+const captureLimiters = {
+  ip: new SlidingWindowLimiter({
+    store,
+    limit: config.RATE_LIMIT_IP_MAX,
+    windowMs: config.RATE_LIMIT_IP_WINDOW_MS
+  }),
+  email: new SlidingWindowLimiter({
+    store,
+    limit: config.RATE_LIMIT_EMAIL_MAX,
+    windowMs: config.RATE_LIMIT_EMAIL_WINDOW_MS
+  })
+};
+
+module.exports = {
+  MemoryStore,
+  UpstashStore,
+  SlidingWindowLimiter,
+  captureLimiters,
+  sharedStore: store
+};
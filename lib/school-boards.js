@@ -0,0 +1,150 @@
+// Ontario school board directory
+// Backs /api/boards (the signup form's board autocomplete), maps what a
+// submitter picked or typed onto a canonical board ID stored with the lead,
+// and knows which board each staff email domain belongs to.
+
+const BOARDS = require('./data/ontario-school-boards.json');
+const EMAIL_DOMAINS = require('./data/board-email-domains.json');
+const { logger } = require('./logger');
+
+const DEFAULT_SEARCH_LIMIT = 10;
+const MAX_QUERY_LENGTH = 100;
+
+// Lowercase, drop accents and punctuation: "Conseil des écoles" -> "conseil des ecoles"
+function normalize(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+const INDEX = BOARDS.map(board => {
+  const names = [board.name, ...board.aliases].map(normalize);
+  return {
+    board,
+    names,
+    words: names.join(' ').split(' ')
+  };
+});
+
+const BY_ID = new Map(BOARDS.map(board => [board.id, board]));
+
+// Fields returned to the browser
+function publicBoard(board) {
+  const { id, name, type, language } = board;
+  return { id, name, type, language };
+}
+
+// Lower is better; null when the board does not match at all
+function matchScore(entry, query, terms) {
+  if (entry.names.includes(query)) return 0;
+  if (entry.names.some(name => name.startsWith(query))) return 1;
+  if (terms.every(term => entry.words.some(word => word.startsWith(term)))) return 2;
+  return null;
+}
+
+/**
+ * Search the directory by name or abbreviation
+ * @param {string} query - Text typed by the user ("tdsb", "waterloo cath", ...)
+ * @param {Object} options - { limit, type: 'public'|'catholic', language: 'en'|'fr' }
+ * @returns {Object[]} - Matching boards, best match first
+ */
+function searchBoards(query, { limit = DEFAULT_SEARCH_LIMIT, type, language } = {}) {
+  const normalized = normalize(query).slice(0, MAX_QUERY_LENGTH);
+  const terms = normalized ? normalized.split(' ') : [];
+
+  return INDEX
+    .filter(entry => (!type || entry.board.type === type) && (!language || entry.board.language === language))
+    .map(entry => ({ entry, score: terms.length ? matchScore(entry, normalized, terms) : 2 }))
+    .filter(({ score }) => score !== null)
+    .sort((a, b) => a.score - b.score || a.entry.board.name.localeCompare(b.entry.board.name))
+    .slice(0, limit)
+    .map(({ entry }) => publicBoard(entry.board));
+}
+
+/**
+ * Look up a board by its canonical ID
+ * @param {string} id - Board ID, e.g. 'toronto-dsb'
+ * @returns {Object|null} - Board, or null if the ID is unknown
+ */
+function getBoard(id) {
+  return BY_ID.get(id) || null;
+}
+
+/**
+ * Find the board that issues an email address
+ * Subdomains count too, so staff.tdsb.on.ca maps like tdsb.on.ca.
+ * @param {string} email - Email address
+ * @returns {Object|null} - Board, or null if the domain isn't a board's
+ */
+function boardForEmail(email) {
+  const labels = String(email || '').toLowerCase().split('@').pop().split('.');
+
+  for (let i = 0; i < labels.length - 1; i++) {
+    const boardId = EMAIL_DOMAINS[labels.slice(i).join('.')];
+    if (boardId) return getBoard(boardId);
+  }
+
+  return null;
+}
+
+/**
+ * Resolve a submitted board to the directory
+ * A picked ID wins; otherwise free text that exactly names a board (or its
+ * abbreviation) still gets the ID. Anything else is kept as typed, without an ID.
+ * @param {Object} profile - Validated form fields
+ * @returns {Object} - Profile with schoolBoard/schoolBoardId canonicalized
+ */
+function canonicalizeBoard(profile) {
+  const { schoolBoardId, ...rest } = profile;
+
+  let board = schoolBoardId ? getBoard(schoolBoardId) : null;
+  if (schoolBoardId && !board) {
+    logger.warn('Submission with unknown school board ID', { schoolBoardId });
+  }
+
+  if (!board && rest.schoolBoard) {
+    const typed = normalize(rest.schoolBoard);
+    const matches = INDEX.filter(entry => entry.names.includes(typed));
+    // Some abbreviations are shared (LDSB, WCDSB, ...), so only an unambiguous match counts
+    if (matches.length === 1) board = matches[0].board;
+  }
+
+  if (!board) return rest;
+
+  return { ...rest, schoolBoard: board.name, schoolBoardId: board.id };
+}
+
+/**
+ * Handle a board directory search (GET /api/boards?q=)
+ * @param {Object} request - Normalized request ({ query })
+ * @returns {Promise<Object>} - Response as { status, headers, body }
+ */
+async function boardsHandler(request) {
+  const { q, type, language, limit: rawLimit } = request.query || {};
+  const limit = Math.min(Math.max(parseInt(rawLimit, 10) || DEFAULT_SEARCH_LIMIT, 1), BOARDS.length);
+
+  const boards = searchBoards(typeof q === 'string' ? q : '', {
+    limit,
+    type: typeof type === 'string' ? type : undefined,
+    language: typeof language === 'string' ? language : undefined
+  });
+
+  return {
+    status: 200,
+    // The directory only changes with a deploy
+    headers: { 'Cache-Control': 'public, max-age=3600' },
+    body: { boards }
+  };
+}
+
+module.exports = {
+  searchBoards,
+  getBoard,
+  boardForEmail,
+  canonicalizeBoard,
+  boardsHandler,
+  BOARDS
+};
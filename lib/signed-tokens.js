@@ -0,0 +1,92 @@
+// Signed, expiring tokens (HMAC-SHA256)
+// One secret (SIGNING_SECRET) signs every token the server hands out; the
+// purpose field stops a token issued for one flow being replayed in another.
+
+const crypto = require('crypto');
+const { config, isLocalDevelopment } = require('./config');
+const { logger } = require('./logger');
+
+let devSecret = null;
+
+function getSigningSecret() {
+  if (config.SIGNING_SECRET) {
+    return config.SIGNING_SECRET;
+  }
+
+  // Anywhere else a per-process secret makes tokens fail on every other
+  // instance, so refuse to sign or verify rather than fail quietly
+  if (!isLocalDevelopment()) {
+    const error = new Error('SIGNING_SECRET is not set; tokens cannot be signed or verified');
+    error.code = 'SIGNING_SECRET_MISSING';
+    throw error;
+  }
+
+  // Fine for local dev; tokens won't survive a restart
+  if (!devSecret) {
+    logger.warn('SIGNING_SECRET not set, using a random per-process secret');
+    devSecret = crypto.randomBytes(32).toString('hex');
+  }
+  return devSecret;
+}
+
+function hmac(value) {
+  return crypto.createHmac('sha256', getSigningSecret()).update(value).digest('base64url');
+}
+
+/**
+ * Sign a payload for a given purpose
+ * @param {string} purpose - e.g. 'form', 'confirm', 'unsubscribe'
+ * @param {Object} data - Payload fields
+ * @param {Object} options - { expiresInMs }
+ * @returns {string} - Token as <payload>.<signature>
+ */
+function signToken(purpose, data = {}, { expiresInMs } = {}) {
+  const now = Date.now();
+  const payload = { ...data, p: purpose, iat: now };
+
+  if (expiresInMs) {
+    payload.exp = now + expiresInMs;
+  }
+
+  const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${encoded}.${hmac(encoded)}`;
+}
+
+/**
+ * Verify a token's signature, purpose and expiry
+ * @param {string} purpose - Expected purpose
+ * @param {string} token - Token to verify
+ * @returns {Object|null} - Payload, or null if the token is not valid;
+ *   throws with code SIGNING_SECRET_MISSING when the server has no secret
+ */
+function verifyToken(purpose, token) {
+  // A missing secret is the server's fault, not the token's, even with no token
+  getSigningSecret();
+  if (typeof token !== 'string') return null;
+
+  const [encoded, signature] = token.split('.');
+  if (!encoded || !signature) return null;
+
+  const expected = Buffer.from(hmac(encoded));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+  } catch (e) {
+    return null;
+  }
+
+  if (payload.p !== purpose) return null;
+  if (payload.exp && Date.now() > payload.exp) return null;
+
+  return payload;
+}
+
+module.exports = {
+  signToken,
+  verifyToken
+};
@@ -0,0 +1,256 @@
+// Outgoing signup webhooks
+// Sends a signed `signup.created` event to every URL in SIGNUP_WEBHOOK_URLS when a
+// lead is captured, for internal systems (CRM sync, the event platform...) that
+// want to hear about new leads. Each delivery is kept in an append-only log, the
+// same patch format as the capture store, so admins can see what was sent and
+// the outbox worker can retry failures.
+//
+// Signature: X-Webhook-Signature is "sha256=" + hex HMAC-SHA256 of
+// "<X-Webhook-Timestamp>.<raw body>" keyed with SIGNUP_WEBHOOK_SECRET.
+
+const crypto = require('crypto');
+const path = require('path');
+const { config } = require('./config');
+const { CaptureStore } = require('./capture-store');
+const { logger } = require('./logger');
+const { LEAD_FIELDS, pickLeadFields } = require('./lead-fields');
+const { describeFetchError } = require('./fetch-errors');
+
+const EVENT = 'signup.created';
+
+const DELIVERY_STATUS = {
+  PENDING: 'pending', // created, first attempt not finished yet
+  DELIVERED: 'delivered',
+  FAILED: 'failed', // waiting for a retry
+  DEAD: 'dead' // out of retries
+};
+
+// Wait before each retry; a delivery still failing after the last one is dead
+const RETRY_SCHEDULE_MS = [
+  60 * 1000,
+  5 * 60 * 1000,
+  30 * 60 * 1000,
+  2 * 60 * 60 * 1000,
+  6 * 60 * 60 * 1000,
+  12 * 60 * 60 * 1000,
+  24 * 60 * 60 * 1000
+];
+
+const PENDING_GRACE_MS = 60 * 1000; // a pending delivery older than this was interrupted
+
+// The shared lead fields, plus what this app worked out about the capture
+const EVENT_FIELDS = [...LEAD_FIELDS, 'emailDomainType', 'emailBoardId', 'status', 'createdAt'];
+
+function defaultLogPath() {
+  if (config.WEBHOOK_DELIVERY_LOG_PATH) {
+    return path.resolve(config.WEBHOOK_DELIVERY_LOG_PATH);
+  }
+  if (config.VERCEL) {
+    return '/tmp/myblueprint-webhook-deliveries.ndjson';
+  }
+  // Each entry holds the signed event body with the lead's details; server.js
+  // never serves .data/, and admins read it at /admin/webhooks
+  return path.join(__dirname, '..', '.data', 'webhook-deliveries.ndjson');
+}
+
+const deliveryLog = new CaptureStore(defaultLogPath());
+
+function getWebhookUrls() {
+  return config.SIGNUP_WEBHOOK_URLS;
+}
+
+function isWebhookEnabled() {
+  return getWebhookUrls().length > 0;
+}
+
+function requestTimeoutMs() {
+  return config.SIGNUP_WEBHOOK_TIMEOUT_MS;
+}
+
+/**
+ * Sign a webhook body
+ * @param {string} secret - SIGNUP_WEBHOOK_SECRET
+ * @param {string} timestamp - Unix seconds, as sent in X-Webhook-Timestamp
+ * @param {string} body - Raw JSON body
+ * @returns {string} - X-Webhook-Signature value
+ */
+function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+function buildEvent(capture) {
+  return {
+    id: crypto.randomUUID(),
+    type: EVENT,
+    createdAt: new Date().toISOString(),
+    data: { captureId: capture.id, ...pickLeadFields(capture, EVENT_FIELDS) }
+  };
+}
+
+// One POST of a stored delivery. The delivery ID stays the same across retries so
+// receivers can drop duplicates; the timestamp and signature are fresh each time.
+async function sendDelivery(delivery) {
+  const secret = config.SIGNUP_WEBHOOK_SECRET;
+  if (!secret) {
+    throw new Error('SIGNUP_WEBHOOK_SECRET not configured');
+  }
+
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const response = await fetch(delivery.url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'myBlueprint-Career-Launch-Webhooks/1.0',
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Id': delivery.id,
+      'X-Webhook-Timestamp': timestamp,
+      'X-Webhook-Signature': signPayload(secret, timestamp, delivery.body)
+    },
+    body: delivery.body,
+    redirect: 'manual',
+    signal: AbortSignal.timeout(requestTimeoutMs())
+  });
+
+  // Drain the body so the connection can be reused; its contents don't matter
+  await response.arrayBuffer().catch(() => {});
+
+  if (response.status < 200 || response.status >= 300) {
+    const error = new Error(`Webhook endpoint returned ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return response.status;
+}
+
+/**
+ * Attempt a delivery once and record the outcome in the delivery log
+ * @param {Object} delivery - Stored delivery
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<string>} - The delivery's new status
+ */
+async function attemptDelivery(delivery, now = Date.now()) {
+  const attempts = (delivery.attempts || 0) + 1;
+  const startedAt = Date.now();
+  let changes;
+
+  try {
+    const responseStatus = await sendDelivery(delivery);
+    changes = {
+      status: DELIVERY_STATUS.DELIVERED,
+      attempts,
+      responseStatus,
+      durationMs: Date.now() - startedAt,
+      deliveredAt: new Date().toISOString(),
+      lastError: null,
+      nextAttemptAt: null
+    };
+  } catch (error) {
+    const lastError = describeFetchError(error, requestTimeoutMs());
+    const retryDelay = RETRY_SCHEDULE_MS[attempts - 1];
+
+    logger.error('Webhook delivery failed', { deliveryId: delivery.id, url: delivery.url, attempts, error: lastError });
+    changes = {
+      status: retryDelay === undefined ? DELIVERY_STATUS.DEAD : DELIVERY_STATUS.FAILED,
+      attempts,
+      responseStatus: error.status || null,
+      durationMs: Date.now() - startedAt,
+      lastError,
+      nextAttemptAt: retryDelay === undefined ? null : new Date(now + retryDelay).toISOString()
+    };
+  }
+
+  try {
+    await deliveryLog.update(delivery.id, changes);
+  } catch (logError) {
+    logger.error('Failed to update webhook delivery', { deliveryId: delivery.id, error: logError });
+  }
+
+  return changes.status;
+}
+
+/**
+ * Send signup.created for a new capture to every configured URL.
+ * On a long-running server only the delivery log entries are awaited and the
+ * HTTP requests run in the background, so a slow endpoint never holds up the
+ * signup response; one cut short stays pending for retryWebhookDeliveries.
+ * Vercel freezes a function once it responds, so there the requests are
+ * awaited too (each bounded by SIGNUP_WEBHOOK_TIMEOUT_MS).
+ * @param {Object} capture - Stored capture
+ * @returns {Promise<Object[]>} - Created deliveries
+ */
+async function emitSignupCreated(capture) {
+  const urls = getWebhookUrls();
+  if (urls.length === 0) return [];
+
+  const event = buildEvent(capture);
+  const body = JSON.stringify(event);
+
+  const deliveries = await Promise.all(urls.map(async (url) => {
+    try {
+      return await deliveryLog.create({
+        event: EVENT,
+        eventId: event.id,
+        captureId: capture.id,
+        email: capture.email,
+        url,
+        body
+      });
+    } catch (logError) {
+      // Without a log entry there is nothing to retry from, so don't send at all
+      logger.error('Webhook delivery log write failed', { captureId: capture.id, error: logError });
+      return null;
+    }
+  }));
+
+  const attempts = deliveries.filter(Boolean).map(delivery => attemptDelivery(delivery).catch((error) => {
+    logger.error('Webhook delivery attempt crashed', { deliveryId: delivery.id, error });
+  }));
+
+  if (config.VERCEL) {
+    await Promise.all(attempts);
+  }
+
+  return deliveries;
+}
+
+function isDue(delivery, now) {
+  if (delivery.status === DELIVERY_STATUS.PENDING) {
+    return now - Date.parse(delivery.createdAt) >= PENDING_GRACE_MS;
+  }
+  if (delivery.status === DELIVERY_STATUS.FAILED) {
+    return !delivery.nextAttemptAt || Date.parse(delivery.nextAttemptAt) <= now;
+  }
+  return false;
+}
+
+/**
+ * Retry failed deliveries that are due
+ * @param {Object} options - { now }
+ * @returns {Promise<Object>} - Summary { due, delivered, failed, dead }
+ */
+async function retryWebhookDeliveries(options = {}) {
+  const now = options.now ? options.now() : Date.now();
+  const deliveries = await deliveryLog.list({ status: [DELIVERY_STATUS.PENDING, DELIVERY_STATUS.FAILED] });
+  const due = deliveries.filter(delivery => isDue(delivery, now));
+  const summary = { due: due.length, delivered: 0, failed: 0, dead: 0 };
+
+  // One at a time, so a slow endpoint doesn't pile up open requests
+  for (const delivery of due) {
+    const status = await attemptDelivery(delivery, now);
+    summary[status] += 1;
+  }
+
+  return summary;
+}
+
+module.exports = {
+  EVENT,
+  DELIVERY_STATUS,
+  deliveryLog,
+  isWebhookEnabled,
+  signPayload,
+  emitSignupCreated,
+  retryWebhookDeliveries
+};
@@ -0,0 +1,86 @@
+// Push a stored capture to the email-marketing providers and record the outcome
+// Shared by the direct signup path, the double opt-in confirmation and the admin console.
+
+const { subscribeLead, describeErrors } = require('./providers');
+const { captureStore, STATUS } = require('./capture-store');
+const { backoffDelay } = require('./outbox');
+const { logger } = require('./logger');
+
+/**
+ * Subscribe a lead with each provider and mark its capture synced or failed.
+ * Providers that already have the capture (capture.providers) are skipped.
+ * @param {Object} lead - { email, source, ...profile fields }
+ * @param {Object|null} capture - Stored capture, or null if the store write failed
+ * @returns {Promise<Object>} - { synced, error }
+ */
+async function syncToProviders(lead, capture) {
+  const alreadySynced = (capture && capture.providers) || {};
+  const { succeeded, errors } = await subscribeLead(lead, { skip: Object.keys(alreadySynced) });
+
+  // Which providers have the lead, so a retry only goes to the ones that failed
+  const now = new Date().toISOString();
+  const providers = { ...alreadySynced };
+  succeeded.forEach((name) => { providers[name] = now; });
+
+  if (errors.length === 0) {
+    if (capture) {
+      await markSyncOutcome(capture, {
+        status: STATUS.SYNCED,
+        attempts: (capture.attempts || 0) + 1,
+        syncedAt: now,
+        providers
+      });
+    }
+
+    logger.info('Lead synced to providers', {
+      captureId: capture && capture.id,
+      email: lead.email,
+      source: lead.source,
+      providers: Object.keys(providers)
+    });
+
+    return { synced: true, error: null };
+  }
+
+  const lastError = describeErrors(errors);
+  logger.error('Provider sync failed', { captureId: capture && capture.id, errors: lastError });
+
+  if (capture) {
+    const attempts = (capture.attempts || 0) + 1;
+
+    // Left for the outbox replay worker
+    await markSyncOutcome(capture, {
+      status: STATUS.FAILED,
+      attempts,
+      lastError,
+      providers,
+      nextAttemptAt: new Date(Date.now() + backoffDelay(attempts)).toISOString()
+    });
+  }
+
+  return { synced: false, error: errors[0].error };
+}
+
+// Re-checks for an unsubscribe that landed while the providers were called
+async function markSyncOutcome(capture, changes) {
+  try {
+    const patch = await captureStore.updateSyncOutcome(capture.id, changes);
+    if (!patch) logger.warn('Lead unsubscribed during sync, queued the unsubscribe again', { captureId: capture.id });
+  } catch (storeError) {
+    logger.error('Failed to update capture', { captureId: capture.id, error: storeError });
+  }
+}
+
+// Status updates are best-effort: the capture itself is already stored
+async function markCapture(capture, changes) {
+  try {
+    await captureStore.update(capture.id, changes);
+  } catch (storeError) {
+    logger.error('Failed to update capture', { captureId: capture.id, error: storeError });
+  }
+}
+
+module.exports = {
+  syncToProviders,
+  markCapture
+};
@@ -0,0 +1,117 @@
+// One-click unsubscribe
+// Signed per-recipient links for outgoing emails. GET shows a confirmation
+// page; POST (including RFC 8058 "List-Unsubscribe=One-Click") withdraws
+// consent locally and with every email-marketing provider.
+
+const { signToken, verifyToken } = require('./signed-tokens');
+const { publicBaseUrl } = require('./mailer');
+const { captureStore, STATUS } = require('./capture-store');
+const { unsubscribeEverywhere, describeErrors } = require('./providers');
+const { recordConsentEvent, consentContext, EVENTS } = require('./consent-log');
+const { pageResponse, escapeHtml } = require('./pages');
+const { DEFAULT_SOURCE } = require('./capture-service');
+const { logger } = require('./logger');
+
+const UNSUBSCRIBE_PURPOSE = 'unsubscribe';
+
+/**
+ * Build a signed unsubscribe URL for a recipient. Links don't expire:
+ * they are sent in campaign emails that may be opened months later.
+ * @param {string} email - Recipient email
+ * @returns {string} - Unsubscribe URL
+ */
+function unsubscribeUrl(email) {
+  const token = signToken(UNSUBSCRIBE_PURPOSE, { e: email.trim().toLowerCase() });
+  return `${publicBaseUrl()}/api/unsubscribe?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Headers for RFC 8058 one-click unsubscribe in outgoing emails
+ * @param {string} email - Recipient email
+ * @returns {Object} - { 'List-Unsubscribe', 'List-Unsubscribe-Post' }
+ */
+function listUnsubscribeHeaders(email) {
+  return {
+    'List-Unsubscribe': `<${unsubscribeUrl(email)}>`,
+    'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+  };
+}
+
+/**
+ * Withdraw consent for an email: local store, consent log, then the providers
+ * @param {string} email - Email to unsubscribe
+ * @param {Object} context - Consent context for the audit log
+ * @returns {Promise<Object>} - { providersSynced }
+ */
+async function unsubscribeEmail(email, context) {
+  const unsubscribedAt = new Date().toISOString();
+  let captures = await captureStore.findByEmail(email);
+
+  // Someone unsubscribing from a campaign email may predate the capture store
+  if (captures.length === 0) {
+    captures = [await captureStore.create({ email, source: DEFAULT_SOURCE, status: STATUS.UNSUBSCRIBED, unsubscribedAt })];
+  }
+
+  for (const capture of captures) {
+    if (capture.status !== STATUS.UNSUBSCRIBED) {
+      await captureStore.update(capture.id, { status: STATUS.UNSUBSCRIBED, unsubscribedAt });
+    }
+  }
+
+  const latest = captures[captures.length - 1];
+  await recordConsentEvent(EVENTS.WITHDRAWN, latest, context);
+
+  const { errors } = await unsubscribeEverywhere(email);
+  if (errors.length === 0) {
+    await captureStore.update(latest.id, { unsubscribeSyncedAt: new Date().toISOString() });
+    return { providersSynced: true };
+  }
+
+  // Left for the outbox replay worker; unsubscribing again is harmless for the providers that succeeded
+  const lastError = describeErrors(errors);
+  logger.error('Provider unsubscribe failed', { captureId: latest.id, errors: lastError });
+  await captureStore.update(latest.id, { unsubscribePending: true, lastError });
+  return { providersSynced: false };
+}
+
+/**
+ * Handle an unsubscribe link
+ * @param {Object} request - Normalized request with the token in query or body
+ * @returns {Promise<Object>} - HTML page response
+ */
+async function unsubscribeHandler(request) {
+  const token = request.query.token || request.body.token;
+  const payload = verifyToken(UNSUBSCRIBE_PURPOSE, token);
+
+  if (!payload) {
+    return pageResponse(400, {
+      title: 'Link not valid',
+      message: 'This unsubscribe link is not valid. Please use the link from your most recent email, or contact damian.matheson@myblueprint.ca.'
+    });
+  }
+
+  if (request.method !== 'POST') {
+    return pageResponse(200, {
+      title: 'Unsubscribe',
+      message: `Stop sending myBlueprint Career Launch emails to ${payload.e}?`,
+      body: `<form method="post" action="/api/unsubscribe">
+            <input type="hidden" name="token" value="${escapeHtml(token)}">
+            <button type="submit">Unsubscribe</button>
+        </form>`
+    });
+  }
+
+  await unsubscribeEmail(payload.e, { ...consentContext(request), pageUrl: null });
+
+  return pageResponse(200, {
+    title: 'You\'re unsubscribed',
+    message: `${payload.e} will no longer receive myBlueprint Career Launch emails.`
+  });
+}
+
+module.exports = {
+  unsubscribeUrl,
+  listUnsubscribeHeaders,
+  unsubscribeEmail,
+  unsubscribeHandler
+};
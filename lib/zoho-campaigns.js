@@ -0,0 +1,264 @@
+// Zoho Campaigns API integration
+// Shared by the Express server and the Vercel serverless function
+
+const ZohoTokenManager = require('./zoho-token-manager');
+const { config } = require('./config');
+const { logger } = require('./logger');
+const { zohoFetch, zohoRequest } = require('./zoho-http');
+const { REGIONS, zohoEndpoints, regionForApiDomain } = require('./zoho-regions');
+
+// Zoho Campaigns error codes for a missing, expired or revoked OAuth token
+const INVALID_TOKEN_CODES = ['1007', '1008', '1009'];
+
+// Token errors a data center that doesn't know the client or refresh token answers with
+const WRONG_REGION_ERRORS = ['invalid_client', 'invalid_code'];
+
+function campaignsCredentials() {
+  return {
+    clientId: config.ZOHO_CAMPAIGNS_CLIENT_ID,
+    clientSecret: config.ZOHO_CAMPAIGNS_CLIENT_SECRET,
+    refreshToken: config.ZOHO_CAMPAIGNS_REFRESH_TOKEN
+  };
+}
+
+function tokenError(reason, region) {
+  const error = new Error(`Failed to refresh token: ${reason}`);
+  if (WRONG_REGION_ERRORS.includes(reason)) {
+    const { label, accounts } = zohoEndpoints(region);
+    error.message += ` from ${accounts} (ZOHO_REGION=${region}, ${label}). If the Zoho client was created in another data center, set ZOHO_REGION to match`;
+  }
+  return error;
+}
+
+// Zoho says which data center a token belongs to; its APIs elsewhere reject it
+function checkTokenRegion(data, region) {
+  if (!data.api_domain || regionForApiDomain(data.api_domain) === region) return;
+
+  const actual = regionForApiDomain(data.api_domain);
+  const error = new Error(actual
+    ? `Zoho region mismatch: ZOHO_REGION=${region} (${REGIONS[region].label}) but the token is for the ${REGIONS[actual].label} data center; set ZOHO_REGION=${actual}`
+    : `Zoho region mismatch: ZOHO_REGION=${region} expects ${REGIONS[region].api} but the token is for ${data.api_domain}`);
+  error.code = 'ZOHO_REGION_MISMATCH';
+  throw error;
+}
+
+/**
+ * Exchange a Zoho refresh token for a new access token
+ * @param {Object} credentials - { clientId, clientSecret, refreshToken }, defaults to the Campaigns app
+ * @returns {Promise<Object>} - Zoho token response ({ access_token, expires_in })
+ */
+async function requestZohoAccessToken(credentials = campaignsCredentials()) {
+  const { clientId, clientSecret, refreshToken } = credentials;
+
+  if (!clientId || !clientSecret || !refreshToken) {
+    throw new Error('Zoho OAuth credentials not configured');
+  }
+
+  const params = new URLSearchParams({
+    refresh_token: refreshToken,
+    client_id: clientId,
+    client_secret: clientSecret,
+    grant_type: 'refresh_token'
+  });
+
+  const region = config.ZOHO_REGION;
+
+  return zohoRequest('accounts', 'oauth/v2/token', async () => {
+    const response = await zohoFetch(`${zohoEndpoints(region).accounts}/oauth/v2/token`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      body: params.toString()
+    });
+
+    const data = response.data || {};
+
+    if (!response.ok || data.error) {
+      throw tokenError(data.error || response.status, region);
+    }
+
+    checkTokenRegion(data, region);
+    return data;
+  });
+}
+
+// One token cache per process (or per warm serverless instance)
+const tokenManager = new ZohoTokenManager(() => requestZohoAccessToken(), { name: 'campaigns' });
+
+async function getZohoAccessToken(options) {
+  return tokenManager.getAccessToken(options);
+}
+
+function isInvalidTokenResponse(response, data) {
+  if (response.status === 401) return true;
+
+  const code = String(data.code || data.Code || '');
+  if (INVALID_TOKEN_CODES.includes(code)) return true;
+
+  return /invalid.*(oauth|token)|oauth.*(invalid|expired)/i.test(data.message || '');
+}
+
+function postToZohoCampaigns(endpoint, params, accessToken) {
+  return zohoRequest('campaigns', endpoint, () => sendCampaignsRequest(endpoint, params, accessToken));
+}
+
+async function sendCampaignsRequest(endpoint, params, accessToken) {
+  const response = await zohoFetch(`${zohoEndpoints(config.ZOHO_REGION).campaigns}/api/v1.1/${endpoint}`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Zoho-oauthtoken ${accessToken}`,
+      'Content-Type': 'application/x-www-form-urlencoded',
+    },
+    body: params.toString()
+  });
+
+  const { data } = response;
+  if (!data) {
+    logger.error('Zoho response is not JSON', { endpoint, status: response.status });
+    throw new Error('Invalid response from Zoho API');
+  }
+
+  if (isInvalidTokenResponse(response, data)) {
+    const error = new Error(`Zoho API error: ${data.message || 'invalid OAuth token'}`);
+    error.code = 'INVALID_TOKEN';
+    throw error;
+  }
+
+  logger.debug('Zoho API response', { endpoint, status: response.status, code: data.code, message: data.message });
+
+  if (!response.ok) {
+    throw new Error(`Zoho API error: ${response.status} - ${JSON.stringify(data)}`);
+  }
+
+  // Check for Zoho-specific error responses
+  if (data.code && data.code !== '0') {
+    throw new Error(`Zoho API error: ${data.message || data.code}`);
+  }
+
+  return data;
+}
+
+// Call a Zoho Campaigns endpoint, retrying once with a fresh token if Zoho rejects the cached one
+async function callZohoCampaigns(endpoint, params) {
+  const accessToken = await getZohoAccessToken();
+
+  try {
+    return await postToZohoCampaigns(endpoint, params, accessToken);
+  } catch (error) {
+    if (error.code !== 'INVALID_TOKEN') throw error;
+
+    logger.warn('Zoho rejected the cached access token, refreshing and retrying once', { endpoint });
+    tokenManager.invalidate(accessToken);
+    const freshToken = await getZohoAccessToken({ forceRefresh: true });
+    return postToZohoCampaigns(endpoint, params, freshToken);
+  }
+}
+
+// Form field -> Zoho Campaigns contact field. Custom fields must exist on the
+// list in Zoho with these display names; override with ZOHO_CAMPAIGNS_FIELD_MAP (JSON).
+const DEFAULT_FIELD_MAP = {
+  schoolBoard: 'School Board',
+  school: 'School',
+  role: 'Role',
+  gradesTaught: 'Grades Taught'
+};
+
+function getFieldMap() {
+  return { ...DEFAULT_FIELD_MAP, ...config.ZOHO_CAMPAIGNS_FIELD_MAP };
+}
+
+/**
+ * Build Zoho contact info from a lead's profile fields
+ * @param {string} email - Contact email
+ * @param {Object} profile - Validated form fields (name, schoolBoard, ...)
+ * @returns {Object|null} - contactinfo for json/listsubscribe, or null if there is nothing beyond the email
+ */
+function buildContactInfo(email, profile = {}) {
+  const contactInfo = { 'Contact Email': email };
+
+  // Zoho has separate standard name fields
+  if (profile.name) {
+    const [firstName, ...rest] = profile.name.trim().split(/\s+/);
+    contactInfo['First Name'] = firstName;
+    if (rest.length > 0) contactInfo['Last Name'] = rest.join(' ');
+  }
+
+  Object.entries(getFieldMap()).forEach(([field, zohoField]) => {
+    const value = profile[field];
+    if (value === undefined || value === null || value === '') return;
+    contactInfo[zohoField] = Array.isArray(value) ? value.join(', ') : String(value);
+  });
+
+  return Object.keys(contactInfo).length > 1 ? contactInfo : null;
+}
+
+async function subscribeToZohoCampaigns(email, source, profile = {}) {
+  logger.debug('Zoho Campaigns subscribe', { email, source });
+
+  const contactInfo = buildContactInfo(email, profile);
+  if (!contactInfo) {
+    return subscribeManyToZohoCampaigns([email]);
+  }
+
+  const listKey = config.ZOHO_CAMPAIGNS_LIST_KEY;
+
+  if (!listKey) {
+    throw new Error('Zoho Campaigns list key not configured');
+  }
+
+  // listsubscribe carries list custom fields; consent is already confirmed by our
+  // own double opt-in, so the list's Zoho signup confirmation should be turned off
+  const params = new URLSearchParams({
+    resfmt: 'JSON',
+    listkey: listKey,
+    contactinfo: JSON.stringify(contactInfo)
+  });
+
+  return callZohoCampaigns('json/listsubscribe', params);
+}
+
+// Add several emails in one request (used by the outbox replay worker)
+async function subscribeManyToZohoCampaigns(emails) {
+  const listKey = config.ZOHO_CAMPAIGNS_LIST_KEY;
+
+  if (!listKey) {
+    throw new Error('Zoho Campaigns list key not configured');
+  }
+
+  // Use bulk add API which doesn't require confirmation
+  const bulkParams = new URLSearchParams({
+    resfmt: 'JSON',
+    listkey: listKey,
+    emailids: emails.join(',')
+  });
+
+  return callZohoCampaigns('addlistsubscribersinbulk', bulkParams);
+}
+
+// Remove an email from the list (one-click unsubscribe)
+async function unsubscribeFromZohoCampaigns(email) {
+  const listKey = config.ZOHO_CAMPAIGNS_LIST_KEY;
+
+  if (!listKey) {
+    throw new Error('Zoho Campaigns list key not configured');
+  }
+
+  const params = new URLSearchParams({
+    resfmt: 'JSON',
+    listkey: listKey,
+    contactinfo: JSON.stringify({ 'Contact Email': email })
+  });
+
+  return callZohoCampaigns('json/listunsubscribe', params);
+}
+
+module.exports = {
+  requestZohoAccessToken,
+  getZohoAccessToken,
+  buildContactInfo,
+  subscribeToZohoCampaigns,
+  subscribeManyToZohoCampaigns,
+  unsubscribeFromZohoCampaigns,
+  tokenManager
+};
@@ -0,0 +1,110 @@
+// Timeouts and circuit breakers for Zoho calls
+// Every Zoho request has a time limit (ZOHO_TIMEOUT_MS), since the Vercel
+// function is stopped at 10 seconds. Each Zoho API (accounts, campaigns, crm)
+// also has a circuit breaker: after repeated timeouts, network errors or 5xx
+// responses it opens, and calls fail at once so signups go straight to the
+// capture store for the outbox to retry. Breakers are per process.
+
+const { CircuitBreaker, STATE } = require('./circuit-breaker');
+const { config } = require('./config');
+const { describeFetchError } = require('./fetch-errors');
+const { logger } = require('./logger');
+const { gauge, timeZohoRequest } = require('./metrics');
+
+const APIS = ['accounts', 'campaigns', 'crm'];
+
+// zoho_circuit_breaker_state values, in increasing order of trouble
+const STATE_VALUES = {
+  [STATE.CLOSED]: 0,
+  [STATE.HALF_OPEN]: 1,
+  [STATE.OPEN]: 2
+};
+
+// Zoho being slow or down, as opposed to answering with an error
+function isUnavailable(error) {
+  return error.code === 'ZOHO_UNAVAILABLE';
+}
+
+const breakers = Object.fromEntries(APIS.map(api => [api, new CircuitBreaker({
+  name: `Zoho ${api}`,
+  failureThreshold: config.ZOHO_BREAKER_THRESHOLD,
+  cooldownMs: config.ZOHO_BREAKER_COOLDOWN_MS,
+  isFailure: isUnavailable,
+  onStateChange(state, breaker) {
+    if (state === STATE.OPEN) {
+      logger.error('Zoho circuit opened, captures go to the store until it recovers', { api, ...breaker.snapshot() });
+    } else {
+      logger.info(`Zoho circuit ${state === STATE.CLOSED ? 'closed' : 'half-open'}`, { api });
+    }
+  }
+})]));
+
+gauge('zoho_circuit_breaker_state', 'Zoho circuit breaker per API: 0 closed, 1 half-open, 2 open', () => (
+  APIS.map(api => ({ labels: { api }, value: STATE_VALUES[breakers[api].state] }))
+));
+
+function unavailableError(message, status) {
+  const error = new Error(message);
+  error.code = 'ZOHO_UNAVAILABLE';
+  if (status) error.status = status;
+  return error;
+}
+
+/**
+ * fetch with the Zoho time limit, covering the body as well as the headers.
+ * Timeouts, network errors, 429 and 5xx responses reject with code
+ * ZOHO_UNAVAILABLE; other responses are returned with their body read.
+ * @param {string} url - Request URL
+ * @param {Object} options - fetch options
+ * @returns {Promise<Object>} - { status, ok, text, data: parsed JSON, or null if the body isn't JSON }
+ */
+async function zohoFetch(url, options) {
+  const timeoutMs = config.ZOHO_TIMEOUT_MS;
+  let response;
+  let text;
+  try {
+    response = await fetch(url, { ...options, signal: AbortSignal.timeout(timeoutMs) });
+    text = await response.text();
+  } catch (error) {
+    throw unavailableError(`Zoho request failed: ${describeFetchError(error, timeoutMs)}`);
+  }
+
+  if (response.status === 429 || response.status >= 500) {
+    throw unavailableError(`Zoho returned ${response.status}`, response.status);
+  }
+
+  let data = null;
+  try {
+    data = text ? JSON.parse(text) : null;
+  } catch (e) {
+    // Left to the caller, which knows whether a non-JSON body is an error
+  }
+
+  return { status: response.status, ok: response.ok, text, data };
+}
+
+/**
+ * Make a Zoho call through its API's circuit breaker, timed into
+ * zoho_request_duration_seconds
+ * @param {string} api - accounts, campaigns or crm
+ * @param {string} endpoint - Endpoint path, without the query string
+ * @param {Function} fn - Makes the call with zohoFetch
+ * @returns {Promise<*>} - What fn resolves to; rejects with code CIRCUIT_OPEN when open
+ */
+function zohoRequest(api, endpoint, fn) {
+  return breakers[api].run(() => timeZohoRequest(api, endpoint, fn));
+}
+
+/**
+ * Every breaker's state, for the readiness check
+ * @returns {Object} - { api: { state, failures, retryAt } }
+ */
+function circuitStates() {
+  return Object.fromEntries(APIS.map(api => [api, breakers[api].snapshot()]));
+}
+
+module.exports = {
+  zohoFetch,
+  zohoRequest,
+  circuitStates
+};
@@ -0,0 +1,40 @@
+// Zoho data centers
+// A Zoho org lives in one data center, and its OAuth clients, refresh tokens and
+// API data only work against that data center's hosts. ZOHO_REGION picks them.
+
+const REGIONS = {
+  com: { label: 'United States', accounts: 'https://accounts.zoho.com', campaigns: 'https://campaigns.zoho.com', api: 'https://www.zohoapis.com' },
+  ca: { label: 'Canada', accounts: 'https://accounts.zohocloud.ca', campaigns: 'https://campaigns.zohocloud.ca', api: 'https://www.zohoapis.ca' },
+  eu: { label: 'Europe', accounts: 'https://accounts.zoho.eu', campaigns: 'https://campaigns.zoho.eu', api: 'https://www.zohoapis.eu' },
+  in: { label: 'India', accounts: 'https://accounts.zoho.in', campaigns: 'https://campaigns.zoho.in', api: 'https://www.zohoapis.in' },
+  'com.au': { label: 'Australia', accounts: 'https://accounts.zoho.com.au', campaigns: 'https://campaigns.zoho.com.au', api: 'https://www.zohoapis.com.au' }
+};
+
+/**
+ * Hosts for a data center
+ * @param {string} region - Key in REGIONS
+ * @returns {Object} - { label, accounts, campaigns, api } origins
+ */
+function zohoEndpoints(region) {
+  const endpoints = REGIONS[region];
+  if (!endpoints) {
+    throw new RangeError(`Unknown Zoho region "${region}" (available: ${Object.keys(REGIONS).join(', ')})`);
+  }
+  return endpoints;
+}
+
+/**
+ * The region whose API domain Zoho returned with a token
+ * @param {string} apiDomain - api_domain from the token response, e.g. https://www.zohoapis.ca
+ * @returns {string|null} - Key in REGIONS, or null if unrecognized
+ */
+function regionForApiDomain(apiDomain) {
+  const origin = String(apiDomain || '').replace(/\/+$/, '');
+  return Object.keys(REGIONS).find(region => REGIONS[region].api === origin) || null;
+}
+
+module.exports = {
+  REGIONS,
+  zohoEndpoints,
+  regionForApiDomain
+};
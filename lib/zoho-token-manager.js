@@ -0,0 +1,88 @@
+// Zoho OAuth access token cache
+// Keeps the access token until shortly before it expires and lets only one
+// refresh run at a time when several signups arrive together.
+
+const { zohoTokenRefreshes } = require('./metrics');
+
+const DEFAULT_EXPIRES_IN = 3600; // seconds, Zoho's standard access token lifetime
+const REFRESH_MARGIN_MS = 5 * 60 * 1000; // refresh 5 minutes before expiry
+
+class ZohoTokenManager {
+  /**
+   * @param {Function} fetchToken - Resolves to { access_token, expires_in }
+   * @param {Object} options - { name (metrics label), refreshMarginMs, now }
+   */
+  constructor(fetchToken, { name = 'zoho', refreshMarginMs = REFRESH_MARGIN_MS, now = Date.now } = {}) {
+    this.fetchToken = fetchToken;
+    this.name = name;
+    this.refreshMarginMs = refreshMarginMs;
+    this.now = now;
+
+    this.accessToken = null;
+    this.expiresAt = 0;
+    this.pendingRefresh = null;
+    this.refreshCount = 0;
+  }
+
+  /**
+   * Get a usable access token, refreshing only when needed
+   * @param {Object} options - { forceRefresh }
+   * @returns {Promise<string>} - Access token
+   */
+  async getAccessToken({ forceRefresh = false } = {}) {
+    if (!forceRefresh && this.isValid()) {
+      return this.accessToken;
+    }
+
+    return this.refresh();
+  }
+
+  /**
+   * Whether the cached token can still be used
+   * @returns {boolean}
+   */
+  isValid() {
+    return Boolean(this.accessToken) && this.now() < this.expiresAt - this.refreshMarginMs;
+  }
+
+  /**
+   * Refresh the token; concurrent callers share the same in-flight request
+   * @returns {Promise<string>} - Fresh access token
+   */
+  refresh() {
+    if (!this.pendingRefresh) {
+      this.pendingRefresh = this.fetchToken()
+        .then((data) => {
+          const expiresIn = Number(data.expires_in) || DEFAULT_EXPIRES_IN;
+
+          this.accessToken = data.access_token;
+          this.expiresAt = this.now() + expiresIn * 1000;
+          this.refreshCount += 1;
+          zohoTokenRefreshes.inc({ app: this.name, outcome: 'success' });
+
+          return this.accessToken;
+        }, (error) => {
+          zohoTokenRefreshes.inc({ app: this.name, outcome: 'error' });
+          throw error;
+        })
+        .finally(() => {
+          this.pendingRefresh = null;
+        });
+    }
+
+    return this.pendingRefresh;
+  }
+
+  /**
+   * Drop the cached token (e.g. after Zoho rejects it)
+   * @param {string} token - Only invalidate if this is still the cached token
+   */
+  invalidate(token) {
+    if (!token || token === this.accessToken) {
+      this.accessToken = null;
+      this.expiresAt = 0;
+    }
+  }
+}
+
+module.exports = ZohoTokenManager;
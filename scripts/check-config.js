@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+// Print the effective configuration (env, .env and defaults) with secrets
+// redacted, then any problems. Exits 1 when there are errors, so it can gate a deploy.
+// Usage: npm run config:check
+
+const { config, validateConfig, describeConfig, describeProblems } = require('../lib/config');
+const { zohoEndpoints } = require('../lib/zoho-regions');
+
+const entries = describeConfig();
+const width = Math.max(...entries.map(({ name }) => name.length));
+
+console.log(`Configuration (NODE_ENV=${config.NODE_ENV})\n`);
+entries.forEach(({ name, value, source, description }) => {
+  const shown = value === undefined || value === '' ? '-' : value;
+  const notes = [source !== 'env' && `[${source}]`, description].filter(Boolean).join(' ');
+  console.log(`  ${name.padEnd(width)}  ${shown}${notes ? `  ${notes}` : ''}`);
+});
+
+if (config.EMAIL_PROVIDERS.some(name => name.startsWith('zoho-'))) {
+  const { label, accounts, campaigns, api } = zohoEndpoints(config.ZOHO_REGION);
+  console.log(`\nZoho data center: ${label} (${accounts}, ${campaigns}, ${api})`);
+}
+
+const { errors, warnings } = validateConfig();
+describeProblems(errors).forEach((problem, index) => {
+  if (index === 0) console.log('\nErrors:');
+  console.log(`  ${problem}`);
+});
+describeProblems(warnings).forEach((problem, index) => {
+  if (index === 0) console.log('\nWarnings:');
+  console.log(`  ${problem}`);
+});
+
+if (errors.length === 0) console.log(warnings.length === 0 ? '\nNo problems found.' : '\nNo errors.');
+process.exitCode = errors.length > 0 ? 1 : 0;
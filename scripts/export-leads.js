@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+// Stream leads from the capture store as CSV or NDJSON to stdout.
+// Usage: npm run leads:export -- --format csv --from 2025-09-01 --to 2025-09-30 \
+//          --board toronto-dsb --consent confirmed,given > leads.csv
+// Same options as GET /api/export; run it where the capture store lives.
+
+const { Readable, pipeline } = require('stream');
+const { parseExportOptions, exportLines } = require('../lib/lead-export');
+
+function parseArgs(argv) {
+  const params = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--([a-z]+)(?:=(.*))?$/.exec(argv[i]);
+    if (!match) throw new RangeError(`Unexpected argument: ${argv[i]}`);
+    params[match[1]] = match[2] !== undefined ? match[2] : argv[++i];
+  }
+  return params;
+}
+
+let options;
+try {
+  options = parseExportOptions(parseArgs(process.argv.slice(2)));
+} catch (error) {
+  console.error(error.message);
+  console.error('Usage: npm run leads:export -- [--format csv|ndjson] [--from DATE] [--to DATE] [--board ID] [--consent STATES] [--source SOURCE] [--status STATUS]');
+  process.exit(1);
+}
+
+pipeline(Readable.from(exportLines(options)), process.stdout, (error) => {
+  if (error) {
+    console.error('Export failed:', error.message || error);
+    process.exitCode = 1;
+  }
+});
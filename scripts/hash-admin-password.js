@@ -0,0 +1,28 @@
+#!/usr/bin/env node
+// Print an ADMIN_PASSWORD_HASH for the /admin console.
+// Usage: printf '%s' 'the password' | npm run admin:hash-password
+// (or pass it as an argument, though it then ends up in shell history)
+
+const { hashPassword } = require('../lib/admin-session');
+
+async function readStdin() {
+  if (process.stdin.isTTY) return '';
+
+  let input = '';
+  for await (const chunk of process.stdin) input += chunk;
+  return input.replace(/\r?\n$/, '');
+}
+
+async function main() {
+  const password = process.argv[2] || await readStdin();
+
+  if (password.length < 12) {
+    console.error('Usage: printf \'%s\' \'<password>\' | npm run admin:hash-password (12+ characters)');
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log(await hashPassword(password));
+}
+
+main();
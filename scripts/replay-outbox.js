@@ -0,0 +1,17 @@
+#!/usr/bin/env node
+// Replay captures that never reached one or more email-marketing providers,
+// and signup webhook deliveries that failed.
+// Usage: npm run outbox:replay   (suitable for cron)
+
+const { processOutbox } = require('../lib/outbox');
+
+processOutbox()
+  .then((summary) => {
+    console.log('Outbox replay complete:', summary);
+    const { webhooks } = summary;
+    process.exitCode = summary.failed > 0 || summary.dead > 0 || webhooks.failed > 0 || webhooks.dead > 0 ? 1 : 0;
+  })
+  .catch((error) => {
+    console.error('Outbox replay failed:', error.message || error);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,20 @@
+#!/usr/bin/env node
+// Print a signed unsubscribe link and RFC 8058 headers for a recipient.
+// Usage: npm run unsubscribe:link -- teacher@example.ca
+// Uses SIGNING_SECRET and PUBLIC_BASE_URL, so run it with production env.
+
+const { config } = require('../lib/config');
+const { unsubscribeUrl, listUnsubscribeHeaders } = require('../lib/unsubscribe');
+
+const email = process.argv[2];
+
+if (!email || !email.includes('@')) {
+  console.error('Usage: npm run unsubscribe:link -- <email>');
+  process.exitCode = 1;
+} else if (!config.SIGNING_SECRET) {
+  console.error('SIGNING_SECRET is not set; the link would not verify on the server');
+  process.exitCode = 1;
+} else {
+  console.log(unsubscribeUrl(email));
+  Object.entries(listUnsubscribeHeaders(email)).forEach(([name, value]) => console.log(`${name}: ${value}`));
+}
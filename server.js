@@ -1,169 +1,121 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
-require('dotenv').config();
+const { config, validateConfig, describeProblems } = require('./lib/config');
+const { toExpress, requestIdMiddleware } = require('./lib/http-adapters');
+const { captureEmail } = require('./lib/capture-service');
+const { scheduleOutbox } = require('./lib/outbox');
+const { issueFormToken } = require('./lib/bot-detection');
+const { issueChallenge, challengeSettingsHandler } = require('./lib/proof-of-work');
+const { requireAdminKey } = require('./lib/admin-auth');
+const { confirmSubscription } = require('./lib/confirmation');
+const { lookupConsent } = require('./lib/consent-log');
+const { unsubscribeHandler } = require('./lib/unsubscribe');
+const { boardsHandler } = require('./lib/school-boards');
+const { requireAdminSession } = require('./lib/admin-session');
+const adminConsole = require('./lib/admin-console');
+const { exportHandler } = require('./lib/lead-export');
+const { logger } = require('./lib/logger');
+const { readinessHandler } = require('./lib/health');
+const { metricsHandler } = require('./lib/metrics');
+
+// Missing or malformed settings stop a production server before it takes signups
+const { errors: configErrors, warnings: configWarnings } = validateConfig();
+if (configErrors.length > 0 && config.NODE_ENV === 'production') {
+  logger.error('Invalid configuration, not starting (run npm run config:check)', { errors: describeProblems(configErrors) });
+  process.exit(1);
+}
+if (configErrors.length > 0 || configWarnings.length > 0) {
+  logger.warn('Configuration problems', { errors: describeProblems(configErrors), warnings: describeProblems(configWarnings) });
+}
 
 const app = express();
-const PORT = process.env.PORT || 8080;
+const PORT = config.PORT;
+
+// Behind a reverse proxy, set TRUST_PROXY (hop count or subnet) so req.ip is the client
+if (config.TRUST_PROXY) {
+  const trustProxy = config.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
 
 // Middleware
-app.use(cors());
+app.use(cors({ exposedHeaders: ['X-Request-Id'] }));
+// Correlation ID on every API call, echoed as X-Request-Id and included in logs
+app.use('/api', requestIdMiddleware);
 app.use(express.json());
-app.use(express.static('.'));
+app.use(express.urlencoded({ extended: false }));
+// Only the page's assets are public. Serving the repo root would expose lib/,
+// .env and the .data/ stores (captures, consent log, webhook deliveries).
+const PUBLIC_DIRS = ['styles', 'js', 'images', 'fonts'];
+const PUBLIC_FILES = ['favicon.ico', 'favicon.png', 'favicon-16x16.png', 'favicon-32x32.png', 'apple-touch-icon.png', 'site.webmanifest'];
+PUBLIC_DIRS.forEach((dir) => {
+  app.use(`/${dir}`, express.static(path.join(__dirname, dir), { dotfiles: 'ignore' }));
+});
+PUBLIC_FILES.forEach((file) => {
+  app.get(`/${file}`, (req, res) => res.sendFile(path.join(__dirname, file)));
+});
 
 // Serve static files (your existing HTML/CSS/JS)
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'index.html'));
 });
 
-// Zoho API integration functions
-async function getZohoAccessToken() {
-  const clientId = process.env.ZOHO_CAMPAIGNS_CLIENT_ID;
-  const clientSecret = process.env.ZOHO_CAMPAIGNS_CLIENT_SECRET;
-  const refreshToken = process.env.ZOHO_CAMPAIGNS_REFRESH_TOKEN;
-
-  if (!clientId || !clientSecret || !refreshToken) {
-    throw new Error('Zoho OAuth credentials not configured');
-  }
-
-  const params = new URLSearchParams({
-    refresh_token: refreshToken,
-    client_id: clientId,
-    client_secret: clientSecret,
-    grant_type: 'refresh_token'
-  });
-
-  const response = await fetch('https://accounts.zoho.com/oauth/v2/token', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/x-www-form-urlencoded',
-    },
-    body: params.toString()
-  });
-
-  const data = await response.json();
-  
-  if (!response.ok || data.error) {
-    throw new Error(`Failed to refresh token: ${data.error || response.status}`);
-  }
-
-  return data.access_token;
-}
+// API endpoint for email capture
+app.post('/api/email-capture', toExpress(captureEmail));
 
-async function subscribeToZohoCampaigns(email, source) {
-  const listKey = process.env.ZOHO_CAMPAIGNS_LIST_KEY;
-
-  if (!listKey) {
-    throw new Error('Zoho Campaigns list key not configured');
-  }
-
-  // Get fresh access token
-  const accessToken = await getZohoAccessToken();
-
-  console.log('Zoho API request for email:', email);
-  console.log('Access token:', accessToken ? `${accessToken.substring(0, 20)}...` : 'NO TOKEN');
-  
-  // Use bulk add API which doesn't require confirmation
-  const bulkParams = new URLSearchParams({
-    resfmt: 'JSON',
-    listkey: listKey,
-    emailids: email
-  });
-  
-  const response = await fetch('https://campaigns.zoho.com/api/v1.1/addlistsubscribersinbulk', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Zoho-oauthtoken ${accessToken}`,
-      'Content-Type': 'application/x-www-form-urlencoded',
-    },
-    body: bulkParams.toString()
-  });
-
-  const responseText = await response.text();
-  console.log('Zoho API raw response:', responseText);
-  
-  let data;
-  try {
-    data = JSON.parse(responseText);
-  } catch (e) {
-    console.error('Failed to parse Zoho response as JSON');
-    throw new Error('Invalid response from Zoho API');
-  }
-  
-  if (!response.ok) {
-    throw new Error(`Zoho API error: ${response.status} - ${JSON.stringify(data)}`);
-  }
-  
-  // Check for Zoho-specific error responses
-  if (data.code && data.code !== '0') {
-    throw new Error(`Zoho API error: ${data.message || data.code}`);
-  }
-  
-  return data;
-}
+// Double opt-in confirmation links
+app.get('/api/confirm', toExpress(confirmSubscription));
+app.post('/api/confirm', toExpress(confirmSubscription));
 
-// API endpoint for email capture
-app.post('/api/email-capture', async (req, res) => {
-  try {
-    const { email, source } = req.body;
-
-    // Validate email
-    if (!email || !email.includes('@')) {
-      return res.status(400).json({
-        message: 'Please provide a valid email address'
-      });
-    }
-
-    // Set default source if not provided
-    const emailSource = source || 'career-launch-landing';
-
-    try {
-      // Subscribe to Zoho Campaigns (with automatic token refresh)
-      await subscribeToZohoCampaigns(email, emailSource);
-      
-      console.log('Email subscribed to Zoho Campaigns:', { 
-        email, 
-        source: emailSource, 
-        timestamp: new Date().toISOString() 
-      });
-
-      return res.status(200).json({
-        message: 'Thank you! We\'ll notify you as soon as the agenda is available.',
-        email,
-        source: emailSource
-      });
-    } catch (zohoError) {
-      console.error('Zoho Campaigns error:', zohoError.message || zohoError);
-      console.error('Full error:', zohoError);
-      
-      // Fallback: still log the email capture even if Zoho fails
-      console.log('Email captured (Zoho failed):', { 
-        email, 
-        source: emailSource, 
-        timestamp: new Date().toISOString() 
-      });
-      
-      return res.status(200).json({
-        message: 'Thank you for your interest! We\'ll be in touch soon.',
-        email,
-        source: emailSource
-      });
-    }
-  } catch (error) {
-    console.error('Error in email capture:', error);
-    return res.status(500).json({
-      message: 'An error occurred. Please try again.'
-    });
-  }
-});
+// Signed unsubscribe links (GET page, POST / RFC 8058 one-click)
+app.get('/api/unsubscribe', toExpress(unsubscribeHandler));
+app.post('/api/unsubscribe', toExpress(unsubscribeHandler));
+
+// CASL consent lookup: when and how did this person consent?
+app.get('/api/consent', toExpress(requireAdminKey(lookupConsent)));
+
+// Streamed lead export (CSV or NDJSON) for scripts
+app.get('/api/export', toExpress(requireAdminKey(exportHandler)));
+
+// Signed render timestamp for the signup form
+app.get('/api/form-token', toExpress(issueFormToken));
+
+// Ontario school board search for the signup form's autocomplete
+app.get('/api/boards', toExpress(boardsHandler));
+
+// Proof-of-work challenge, and runtime control of its mode and difficulty
+app.get('/api/challenge', toExpress(issueChallenge));
+app.get('/api/challenge/settings', toExpress(requireAdminKey(challengeSettingsHandler)));
+app.put('/api/challenge/settings', toExpress(requireAdminKey(challengeSettingsHandler)));
+
+// Admin console: leads list, re-sync, delete and webhook deliveries (session login, CSRF-checked forms)
+app.get('/admin/login', toExpress(adminConsole.loginPage));
+app.post('/admin/login', toExpress(adminConsole.login));
+app.post('/admin/logout', toExpress(requireAdminSession(adminConsole.logout)));
+app.get('/admin', toExpress(requireAdminSession(adminConsole.leadsPage)));
+app.post('/admin/leads/resync', toExpress(requireAdminSession(adminConsole.resyncLead)));
+app.post('/admin/leads/delete', toExpress(requireAdminSession(adminConsole.deleteLead)));
+app.get('/admin/export', toExpress(requireAdminSession(exportHandler)));
+app.get('/admin/webhooks', toExpress(requireAdminSession(adminConsole.webhooksPage)));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
+// Readiness: config, provider token, capture store and outbox backlog (503 when a check fails)
+app.get('/api/health/ready', toExpress(readinessHandler));
+
+// Prometheus metrics (admin key required; values are per process)
+app.get('/metrics', toExpress(requireAdminKey(metricsHandler)));
+
+// Replay failed provider subscriptions in the background when configured
+if (config.OUTBOX_INTERVAL_MS) {
+  scheduleOutbox(config.OUTBOX_INTERVAL_MS);
+}
+
 // Start server
 app.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT}`);
-  console.log(`Email capture endpoint: http://localhost:${PORT}/api/email-capture`);
+  logger.info(`Server running on http://localhost:${PORT}`);
+  logger.info(`Email capture endpoint: http://localhost:${PORT}/api/email-capture`);
 });
\ No newline at end of file